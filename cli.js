@@ -0,0 +1,169 @@
+require.paths.unshift(__dirname);
+
+var sys = require('sys');
+var fs = require('fs');
+var path = require('path');
+var formatter = require('format');
+
+var usage = [
+	'Usage: node cli.js [options] [file|directory|glob ...]',
+	'',
+	'Formats the given Javascript files and prints the result. Directories are',
+	'searched for .js files, and globs like "src/**/*.js" are expanded. Without',
+	'files, or with "-", standard input is formatted to standard output.',
+	'',
+	'Options:',
+	'  --write                  format the files in place',
+	'  --check                  list the files that are not formatted and exit',
+	'                           with status 1 if there are any',
+	'  --help                   print this help',
+	'',
+	'Format options, with their defaults:'
+];
+
+// Every format option is also a command line option, like `--print-width=100`.
+for (var name in formatter.defaults){
+	usage.push('  --' + optionName(name) + '=' + formatter.defaults[name]);
+}
+
+function optionName(name){
+	return name.replace(/[A-Z]/g, function(letter){
+		return '-' + letter.toLowerCase();
+	});
+}
+
+function fail(message){
+	sys.error(message);
+	process.exit(2);
+}
+
+var parseArguments = function(args){
+	var result = {files: [], options: {}, write: false, check: false};
+	var names = {};
+	for (var name in formatter.defaults) names[optionName(name)] = name;
+	args.forEach(function(arg){
+		var match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+		if (!match){
+			result.files.push(arg);
+		} else if (match[1] == 'write' || match[1] == 'check' || match[1] == 'help'){
+			result[match[1]] = true;
+		} else if (names[match[1]]){
+			var name = names[match[1]], value = match[2];
+			switch (typeof formatter.defaults[name]){
+				case 'number': value = Number(value); break;
+				case 'boolean': value = value === undefined || value == 'true'; break;
+			}
+			result.options[name] = value;
+		} else {
+			fail('unknown option: ' + arg);
+		}
+	});
+	return result;
+};
+
+var globToRegExp = function(glob){
+	return new RegExp('^' + glob.replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, function(match){
+		switch (match){
+			case '**/': return '(?:.*/)?';
+			case '**': return '.*';
+			case '*': return '[^/]*';
+			case '?': return '[^/]';
+			default: return '\\' + match;
+		}
+	}) + '$');
+};
+
+// The .js files below directory, skipping hidden directories and node_modules.
+var walk = function(directory, files){
+	fs.readdirSync(directory).sort().forEach(function(name){
+		var file = path.join(directory, name);
+		if (fs.statSync(file).isDirectory()){
+			if (name.charAt(0) != '.' && name != 'node_modules') walk(file, files);
+		} else if (/\.js$/.test(name)){
+			files.push(file);
+		}
+	});
+	return files;
+};
+
+// Expands directories and globs into the files they contain.
+var expand = function(patterns){
+	var files = [];
+	patterns.forEach(function(pattern){
+		if (!/[*?]/.test(pattern)){
+			if (!path.existsSync(pattern)) fail('no such file or directory: ' + pattern);
+			if (fs.statSync(pattern).isDirectory()) walk(pattern, files);
+			else files.push(pattern);
+			return;
+		}
+		var base = pattern.split('/');
+		base = base.slice(0, base.map(function(part){ return /[*?]/.test(part); }).indexOf(true)).join('/');
+		base = base || '.';
+		if (!path.existsSync(base) || !fs.statSync(base).isDirectory()) fail('no files match: ' + pattern);
+		var matcher = globToRegExp(path.normalize(pattern));
+		var matched = walk(base, []).filter(function(file){
+			return matcher.test(path.normalize(file));
+		});
+		if (matched.length == 0) fail('no files match: ' + pattern);
+		files.push.apply(files, matched);
+	});
+	return files.filter(function(file, i){
+		return files.indexOf(file) == i;
+	});
+};
+
+/*
+ * Formats input, ending with a line ending, and reports syntax errors with the
+ * name of the file.
+ */
+var formatFile = function(name, input, options){
+	try {
+		return formatter.format(input, options) + formatter.lineEnding(options, input);
+	} catch (e){
+		if (e.line === undefined) fail(name + ': ' + e.message);
+		fail(name + ':' + e.line + ':' + e.column + ': ' + e.message);
+	}
+};
+
+var formatStdin = function(options){
+	var input = '';
+	var stdin = process.openStdin();
+	stdin.setEncoding('utf8');
+	stdin.on('data', function(chunk){
+		input += chunk;
+	});
+	stdin.on('end', function(){
+		process.stdout.write(formatFile('<stdin>', input, options));
+	});
+};
+
+var main = function(args){
+	args = parseArguments(args);
+	if (args.help){
+		process.stdout.write(usage.join('\n') + '\n');
+		return;
+	}
+	if (args.files.length == 0 || (args.files.length == 1 && args.files[0] == '-')){
+		if (args.write || args.check) fail('--write and --check need files');
+		formatStdin(args.options);
+		return;
+	}
+	var unformatted = [];
+	expand(args.files).forEach(function(file){
+		var input = fs.readFileSync(file, 'utf8');
+		var output = formatFile(file, input, args.options);
+		if (args.check){
+			if (output != input) unformatted.push(file);
+		} else if (args.write){
+			if (output != input) fs.writeFileSync(file, output, 'utf8');
+		} else {
+			process.stdout.write(output);
+		}
+	});
+	if (unformatted.length){
+		sys.error('Not formatted:\n' + unformatted.join('\n'));
+		process.exit(1);
+	}
+};
+
+main(process.argv.slice(2));
@@ -0,0 +1,79 @@
+/**
+ * Comments between statements, properties, elements, arguments and members.
+ */
+
+// A line comment before a statement.
+var a = 1; // A comment after it.
+
+/* A block comment */ var b = 2;
+
+function commented(){
+	// Only a comment in a body.
+}
+
+var object = {
+	// Before a property.
+	first: 1, // After it.
+	/* Before another. */ second: 2
+	// Dangling at the end.
+};
+
+var array = [
+	1, // one
+	2 /* two */,
+	// three
+	3
+];
+
+call(
+	first, // the first argument
+	second
+);
+
+class Commented {
+	// A field.
+	field = 1;
+
+	/**
+	 * A method.
+	 */
+	method(){
+	}
+	// The end of the class.
+}
+
+switch (a){
+	// Before the first case.
+	case 1:
+		// In a case.
+		break;
+}
+
+/*
+	An indented comment
+		keeps its indentation.
+*/
+
+// Comments inside of expressions and statements.
+foo(/* no arguments */);
+new Foo(/* no arguments */);
+var x = /* before the value */ 5;
+if (a) /* before the statement */ b();
+function parameter(/* before a */ a){}
+function empty(/* no parameters */){}
+promise
+	// Before the first call.
+	.then(a)
+	// Before the second.
+	.then(b)
+	.then(c);
+x = a // after an operand
+	+ b;
+x = a + /* in a chain of operators */ b + c;
+x = (/* in parentheses */ a);
+var nothing = function(){ return /* nothing */; };
+var chosen = condition /* then */ ? yes /* else */ : no;
+for (var i = 0 /* from zero */; i < 1; i++) {}
+label: /* a label */ for (;;) break /* with it */ label;
+var {first /* a name */, second} = object;
+`a template with ${ /* a comment */ x }`;
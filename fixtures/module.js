@@ -0,0 +1,24 @@
+/*
+ * Import and export declarations, which make the file a module.
+ */
+import "polyfill";
+import 'side-effect';
+import def from 'a';
+import * as ns from "b";
+import def2, * as ns2 from "c";
+import def3, {x, y as z} from "d";
+import {} from "e";
+import {aVeryLongImportedName, anotherVeryLongImportedName, yetAnotherOne as renamed} from "long-module-name";
+
+export var v = 1;
+export let l = 2, m = 3;
+export const c = 4;
+export function named(){ return v; }
+export async function loaded(){ return await def(); }
+export const property = def.await;
+export class Klass extends Base {}
+export {v as vee, l as ell};
+export {x as y} from "f";
+export * from "g";
+export * as everything from 'h';
+export default class Named extends Klass {}
@@ -0,0 +1,8 @@
+/*
+ * Regular expression literals, parsed into pattern trees.
+ */
+var anchors = [/^a$/m, /\bword\B/, /x(?=y)(?!z)/, /(?<=\$)\d+(?<!x)/, /(?=a)*/];
+var groups = [/(?:a|b)*?/, /(a)(b)\2\1/, /(?<year>\d{4})-(?<month>\d{2,})\k<year>/u, /(?:)/, /|/];
+var quantifiers = [/a{2,5}b{3}c{1,}?/, /a+?b*c?/, /a{/, /]}/];
+var classes = [/[^a-z0-9_\-\]]+/, /[A-Z\x61-\x7a]/, /[\d-z]/, /[a-]/, /[/]/, /[A-Z]/, /[\u{1F600}-\u{1F64F}]/u, /[😀-😏]/u];
+var escapes = [/\/path\//, /\p{Letter}+/u, /./s, /\t\n\x20é\cJ/];
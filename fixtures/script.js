@@ -0,0 +1,101 @@
+require.paths.unshift('.');
+
+var sys = require('sys');
+var javascript = require('javascript');
+
+function log(obj){
+	process.stdout.write(sys.inspect(obj, false, null) + '\n');
+}
+
+if (foo){
+	if(bar){
+		if(zomg) boom();
+		else bam();
+	}
+}
+
+/*
+ * Every statement and expression the grammar knows about.
+ */
+var literals = [1, 2.5, .5e3, 0xFF, 0o17, 0b1010, 017, 1_000_000, 10n, "double", 'single', null, true, false, /ab+c/gi, this];
+var patterns = [/(?<year>\d{4})-(?<month>\d\d)/u, /(?<=\$)\d+(?:\.\d*)?/, /[^\s\]]+?/y];
+var object = {a: 1, 'b': [2, 3], 3: {}, 0x10: 4, 1e3: 5}, empty = [], holes = [1, , 2], leading = [, 1];
+let counter = 0, limit;
+const answer = 42;
+var {first, second: [third, , fourth = 4, ...others], [key]: fifth, ...remaining} = object;
+[first, third] = [third, first];
+var accessors = {
+	get value(){ return this._value; },
+	set value(value){ this._value = value; }
+};
+var expressions = (a, b), member = foo.bar[baz](1)(2), created = new Foo, called = new Foo(a).bar;
+i++; --j; !a; typeof b; void 0; delete c.d;
+x = a + b * c - (d - e); y += a ? b : c; z = a || b && c;
+var chain = promise.then(function(value){ return value; }).then(done)['catch'](fail);
+var spread = [...literals, ...empty], merged = {...object, extra: true};
+function defaults(a, b = a * 2, ...rest){ return declared(...rest, b); }
+var arrows = [x => x * 2, (a, b) => { return a + b; }, () => ({}), () => ({a: 1}), async item => item];
+var templates = [`plain`, `sum: ${ a+b }!`, html`<p>${ name }</p>`, `first
+  second ${ `nested ${deep}` }`];
+
+do x--; while (x > 0)
+while (true) ;
+for (var i = 0, n = list.length; i < n; i++) sum += list[i];
+for (i = 0; ; ) break;
+for (var key in object) continue;
+for (let j = 0; j < 2; j++) for (const name in object) counter++;
+for (key in object) {}
+
+outer: for (var i = 0; i < 3; i++){
+	inner: for (var j = 0; j < 3; j++){
+		if (j == 1) continue outer;
+		if (i == 2) break inner;
+	}
+}
+done: {
+	break done;
+}
+
+with (document){
+	with (body) title = 'nested';
+}
+
+switch (value){
+	case 1:
+	case 2:
+		one();
+		break;
+	default:
+		other();
+}
+
+try {
+	throw new Error('oops');
+} catch (e) {
+	debugger;
+} finally {
+	cleanup();
+}
+
+function destructured({x, y = 0}, [head, ...tail]){
+	try { return x + y + head; } catch ({message}) { return tail; }
+}
+
+async function fetched(url){ var response = await fetch(url); return (await response.json()).data; }
+function* generated(){ var input = yield 1; yield* generated(); }
+
+function declared(a, b){
+	return function(){ return a + b; };
+}
+
+class Point extends Shape {
+	static origin = new Point(0, 0);
+	x = 0; y = 0;
+	constructor(x, y){ super(); this.x = x; this.y = y; }
+	get length(){ return Math.sqrt(this.x * this.x + this.y * this.y); }
+	set length(value){ this.scale(value / this.length); }
+	async *points(){ yield await this.next(); }
+	static from(pair){ return new Point(pair[0], pair[1]); }
+	['to' + 'String'](){ return super.toString() + this.x; }
+}
+var Anonymous = class { method(){} };
@@ -2,19 +2,125 @@ require.paths.unshift('.');
 
 var sys = require('sys');
 var javascript = require('javascript');
+var layout = require('layout');
+var unicode = require('unicode');
+var verify = require('verify');
+
+var group = layout.group, indent = layout.indent, join = layout.join, line = layout.line,
+	softline = layout.softline, hardline = layout.hardline, breakParent = layout.breakParent,
+	lineSuffix = layout.lineSuffix, conditionalGroup = layout.conditionalGroup;
 
 function log(obj){
 	process.stdout.write(sys.inspect(obj, false, null) + '\n');
 }
 
-var INDENT = '\t';
-var format = function(ast, indent){
-	indent = indent || '';
+/*
+ * Options accepted by exports.format. Every formatter receives the complete
+ * options object as its second argument.
+ *
+ *   printWidth               the line width that lists, calls, operator chains
+ *                            and member chains are broken to fit in
+ *   indentStyle              'tab' or 'space'
+ *   indentWidth              number of spaces per level for 'space', and the
+ *                            width of a tab for printWidth
+ *   quotes                   'preserve', 'double' or 'single' for strings,
+ *                            where 'preserve' keeps the quotes of the input
+ *                            and uses double quotes for new strings
+ *   hexCase                  'preserve', 'lower' or 'upper' for the digits
+ *                            of hexadecimal numbers
+ *   exponentCase             'preserve', 'lower' or 'upper' for the `e` of
+ *                            numbers with an exponent
+ *   braceStyle               'same-line' (`if (a) {`) or 'next-line' (the
+ *                            brace, `else`, `catch` and `finally` go on a line
+ *                            of their own)
+ *   spaceAfterKeyword        `if (a)` instead of `if(a)`, also for anonymous
+ *                            functions
+ *   spaceBeforeFunctionParen `function foo (a)` instead of `function foo(a)`
+ *   spaceBeforeFunctionBrace `function(a) {` instead of `function(a){`, and
+ *                            `() => {` instead of `() =>{`
+ *   arrowParens              'always' (`(a) => a`) or 'avoid' (`a => a`) for
+ *                            arrow functions with a single parameter
+ *   endOfLine                'lf', 'crlf', 'cr' or 'auto' (the first line
+ *                            ending of the input)
+ *   maxBlankLines            the number of blank lines kept between
+ *                            statements, 0 to remove them all
+ *   verify                   parse the formatted code again and throw an
+ *                            error listing the differences when its syntax
+ *                            tree is not the same as the input's
+ *   idempotency              format the formatted code again and throw an
+ *                            error showing the first line that changed
+ *   sourceType               'auto', 'script' or 'module', how the input is
+ *                            parsed, where 'auto' parses it as a module when
+ *                            it has import or export declarations
+ */
+var defaults = exports.defaults = {
+	printWidth: 80,
+	indentStyle: 'tab',
+	indentWidth: 4,
+	quotes: 'preserve',
+	hexCase: 'preserve',
+	exponentCase: 'preserve',
+	braceStyle: 'same-line',
+	spaceAfterKeyword: true,
+	spaceBeforeFunctionParen: false,
+	spaceBeforeFunctionBrace: false,
+	arrowParens: 'always',
+	endOfLine: 'lf',
+	maxBlankLines: 1,
+	verify: false,
+	idempotency: false,
+	sourceType: 'auto'
+};
+
+var choices = {
+	indentStyle: ['tab', 'space'],
+	quotes: ['preserve', 'double', 'single'],
+	hexCase: ['preserve', 'lower', 'upper'],
+	exponentCase: ['preserve', 'lower', 'upper'],
+	braceStyle: ['same-line', 'next-line'],
+	arrowParens: ['always', 'avoid'],
+	endOfLine: ['lf', 'crlf', 'cr', 'auto'],
+	sourceType: ['auto', 'script', 'module']
+};
+
+var getOptions = function(options){
+	var result = {};
+	for (var name in defaults) result[name] = defaults[name];
+	for (var name in options || {}){
+		if (!(name in defaults)) throw new Error('unknown option: ' + name);
+		result[name] = options[name];
+	}
+	for (var name in choices){
+		if (choices[name].indexOf(result[name]) == -1){
+			throw new Error('invalid value for option ' + name + ': ' + result[name]);
+		}
+	}
+	['printWidth', 'indentWidth', 'maxBlankLines'].forEach(function(name){
+		if (!(result[name] >= 0)) throw new Error('invalid value for option ' + name + ': ' + result[name]);
+	});
+	for (var name in defaults){
+		if (typeof defaults[name] == 'boolean' && typeof result[name] != 'boolean'){
+			throw new Error('invalid value for option ' + name + ': ' + result[name]);
+		}
+	}
+	return result;
+};
+
+/*
+ * Formatters return a document for layout.print rather than a string, so they
+ * only mark where lines may break and where indentation increases. The
+ * comments attached to the node are printed around it.
+ */
+var format = function(ast, options){
+	return commented(ast, formatNode(ast, options));
+};
 
+// Formats ast without its comments, for lists that place them on their own.
+var formatNode = function(ast, options){
 	var formatter = format[ast.type];
-	if (formatter) return formatter(ast, indent);
+	if (formatter) return formatter(ast, options);
 	sys.error('no formatter for type: ' + ast.type);
-	var fun = '\n\nformat.' + ast.type + ' = function(node){\n';
+	var fun = '\n\nformat.' + ast.type + ' = function(node, options){\n';
 	for (prop in ast){
 		if (prop != 'type') {
 			fun += '\tnode.' + prop + '\n';
@@ -26,66 +132,544 @@ var format = function(ast, indent){
 	return '';
 };
 
-format.Program = function(ast){
-	return ast.elements.map(function(node){
-		return format(node, '');
-	}).join('\n');
+// A keyword followed by a parenthesized expression, like `if (`.
+var keyword = function(word, options){
+	return word + (options.spaceAfterKeyword ? ' (' : '(');
 };
 
-format.NumericLiteral = function(node){
-	return node.value;
+// Separates a statement from the header before it, like the `if (a)`.
+var formatBody = function(node, options){
+	if (node.type == 'Block' && options.braceStyle == 'next-line'){
+		return [hardline, format(node, options)];
+	}
+	return [' ', format(node, options)];
+};
+
+/*
+ * Separates `else`, `catch`, `finally` or `while` from the statement or catch
+ * clause before it. A line comment after that stays at the end of its line.
+ */
+var continuation = function(previous, word, options){
+	var block = previous.type == 'Catch' ? previous.block : previous;
+	if (block.type == 'Block' && options.braceStyle == 'next-line') return [hardline, word];
+	if (hasTrailingLineComment(previous)) return [hardline, word];
+	return ' ' + word;
 };
 
-format.UnaryExpression = function(node){
-	return node.operator + ' ' + format(node.expression);
+var quote = function(value, options){
+	var result = JSON.stringify(value).slice(1, -1).replace(/[\u2028\u2029]/g, function(character){
+		return '\\u' + character.charCodeAt(0).toString(16);
+	});
+	if (options.quotes != 'single') return '"' + result + '"';
+	return "'" + result.replace(/\\.|'/g, function(match){
+		if (match == '\\"') return '"';
+		if (match == "'") return "\\'";
+		return match;
+	}) + "'";
 };
 
-format.BinaryExpression = function(node){
-	return format(node.left) + ' ' + node.operator + ' ' + format(node.right);
+/*
+ * Comments are attached by the parser to list elements as leadingComments and
+ * trailingComments, and to otherwise empty containers as danglingComments.
+ * Line comments break the enclosing groups, as nothing can follow them on
+ * their line.
+ */
+var formatComment = function(comment){
+	if (comment.type == 'SingleLineComment') return ['//' + comment.value, breakParent];
+	var lines = comment.value.split(/\r\n|[\n\r\u2028\u2029]/);
+	var rest = lines.slice(1);
+	// Continuation lines of doc comments are lined up on their stars.
+	if (rest.every(function(line){ return /^[ \t]*(\*|$)/.test(line); })){
+		rest = rest.map(function(line){
+			return line.replace(/^[ \t]*/, ' ');
+		});
+	} else {
+		var common = null;
+		rest.forEach(function(line, i){
+			if (!/\S/.test(line) && i < rest.length - 1) return;
+			var prefix = line.match(/^[ \t]*/)[0];
+			if (common === null || prefix.length < common.length) common = prefix;
+		});
+		rest = rest.map(function(line, i){
+			if (!/\S/.test(line) && i < rest.length - 1) return '';
+			return line.slice(common.length);
+		});
+	}
+	return ['/*', join(hardline, [lines[0]].concat(rest)), '*/'];
 };
 
-format.ConditionalExpression = function(node, indent){
-	return format(node.condition, indent) + ' ? ' +
-		format(node.trueExpression, indent) + ' : ' +
-		format(node.falseExpression, indent);
+var hasComments = function(nodes){
+	return nodes.some(function(node){
+		return node.leadingComments || node.trailingComments || node.danglingComments;
+	});
 };
 
-format.ParenthesizedExpression = function(node, indent){
-	return "(" + format(node.value, indent) + ")";
+var hasTrailingLineComment = function(node){
+	return (node.trailingComments || []).some(function(comment){
+		return comment.type == 'SingleLineComment';
+	});
 };
 
-format.VariableStatement = function(node, indent){
-	return 'var ' + node.declarations.map(function(declaration){
-		return format(declaration, indent);
-	}).join(', ') + ';';
+var leadingComments = function(node){
+	return (node.leadingComments || []).map(function(comment){
+		return [formatComment(comment), hardline];
+	});
 };
 
-format.VariableDeclarations = function(node, indent){
-	return 'var ' + node.declarations.map(function(declaration){
-		return format(declaration, indent);
-	}).join(', ');
+// Leading comments of list elements stay on the line of the element.
+var inlineLeadingComments = function(node){
+	return (node.leadingComments || []).map(function(comment){
+		return [formatComment(comment), comment.type == 'SingleLineComment' ? hardline : ' '];
+	});
 };
 
-format.VariableDeclaration = function(node, indent){
-	if (!node.value) return node.name;
-	return node.name + ' = ' + format(node.value, indent);
+var trailingComments = function(node){
+	return (node.trailingComments || []).map(function(comment){
+		return [' ', formatComment(comment)];
+	});
 };
 
-format.FunctionCall = function(node, indent){
-	return format(node.name, indent) + '(' + node.arguments.map(function(argument){
-		return format(argument, indent);
-	}).join(', ') + ')';
+/*
+ * The comments of a node inside of an expression or statement, around the
+ * document of the node. Nothing can follow a line comment on its line, so
+ * trailing ones move to the end of the line.
+ */
+var commented = function(node, document){
+	if (!node.leadingComments && !node.trailingComments) return document;
+	return [inlineLeadingComments(node), document, (node.trailingComments || []).map(function(comment){
+		if (comment.type == 'SingleLineComment') return lineSuffix([' ', formatComment(comment)]);
+		return [' ', formatComment(comment)];
+	})];
 };
 
-format.Function = function(node, indent){
-	return 'function ' + (node.name || '') + '(' + node.params.join(', ') + '){\n' +
-		node.elements.map(function(element){
-			return indent + INDENT + format(element, indent + INDENT);
-		}).join('\n') + '\n' + indent + '}';
+var danglingComments = function(node){
+	return (node.danglingComments || []).map(formatComment);
 };
 
-format.StringLiteral = function(node){
-	return JSON.stringify(node.value);
+/*
+ * The statements one per line, with their comments and followed by the
+ * dangling comments of container. Up to options.maxBlankLines blank lines are
+ * kept between them, but none before the first. When given, separate(a, b)
+ * tells whether statements a and b always have a blank line between them.
+ */
+var formatStatements = function(statements, container, options, separate){
+	var lines = [];
+	statements.forEach(function(statement, i){
+		var first = lines.length;
+		(statement.leadingComments || []).forEach(function(comment){
+			lines.push({node: comment, document: formatComment(comment)});
+		});
+		lines.push({node: statement, document: [formatNode(statement, options), trailingComments(statement)]});
+		if (separate && i > 0 && separate(statements[i - 1], statement)) lines[first].separated = true;
+	});
+	(container.danglingComments || []).forEach(function(comment){
+		lines.push({node: comment, document: formatComment(comment)});
+	});
+	return lines.map(function(line, i){
+		if (i == 0) return line.document;
+		var result = [hardline];
+		var blank = Math.min(line.node.blankLinesBefore || 0, options.maxBlankLines);
+		if (line.separated) blank = Math.max(blank, 1);
+		for (; blank > 0; blank--) result.push(hardline);
+		return result.concat([line.document]);
+	});
+};
+
+// Braces around lines, like the statements of a block or the properties of an object.
+var formatLines = function(lines){
+	if (lines.length == 0) return ['{', hardline, '}'];
+	return ['{', indent([hardline, lines]), hardline, '}'];
+};
+
+var formatBlock = function(statements, container, options){
+	if (statements.length == 0 && !container.danglingComments) return formatLines([]);
+	return formatLines(formatStatements(statements, container, options));
+};
+
+format.Program = function(ast, options){
+	return formatStatements(ast.elements, ast, options);
+};
+
+format.Module = format.Program;
+
+/*
+ * Operator precedence, from the comma operator (lowest) to primary
+ * expressions. A node is parenthesized when its precedence is lower than what
+ * its position in the parent requires, so that trees built or transformed
+ * without ParenthesizedExpression nodes still print with their meaning.
+ */
+var COMMA = 0, ASSIGNMENT = 1, CONDITIONAL = 2, UNARY = 13, POSTFIX = 14,
+	CALL = 16, MEMBER = 17, PRIMARY = 18;
+
+var binaryPrecedence = {
+	',': COMMA,
+	'||': 3,
+	'&&': 4,
+	'|': 5,
+	'^': 6,
+	'&': 7,
+	'==': 8, '!=': 8, '===': 8, '!==': 8,
+	'<': 9, '>': 9, '<=': 9, '>=': 9, 'instanceof': 9, 'in': 9,
+	'<<': 10, '>>': 10, '>>>': 10,
+	'+': 11, '-': 11,
+	'*': 12, '/': 12, '%': 12
+};
+
+var precedence = function(node){
+	switch (node.type){
+		case 'BinaryExpression': return binaryPrecedence[node.operator];
+		case 'AssignmentExpression':
+		case 'YieldExpression':
+		case 'ArrowFunction': return ASSIGNMENT;
+		case 'ConditionalExpression': return CONDITIONAL;
+		case 'UnaryExpression': return UNARY;
+		case 'PostfixExpression': return POSTFIX;
+		case 'FunctionCall': return CALL;
+		case 'PropertyAccess':
+		case 'TaggedTemplate':
+		case 'NewOperator': return MEMBER;
+		default: return PRIMARY;
+	}
+};
+
+var parenthesize = function(document){
+	return ['(', document, ')'];
+};
+
+/*
+ * Formats node, parenthesized if its precedence is lower than minimum. Lists
+ * that print the comments of node themselves pass uncommented.
+ */
+var formatOperand = function(node, minimum, options, uncommented){
+	var result = uncommented ? formatNode(node, options) : format(node, options);
+	return precedence(node) < minimum ? parenthesize(result) : result;
+};
+
+// The expression printed first, e.g. `a` in `a.b() + c`.
+var leftmost = function(node){
+	switch (node.type){
+		case 'BinaryExpression':
+		case 'AssignmentExpression': return leftmost(node.left);
+		case 'ConditionalExpression': return leftmost(node.condition);
+		case 'PostfixExpression': return leftmost(node.expression);
+		case 'FunctionCall': return leftmost(node.name);
+		case 'PropertyAccess': return leftmost(node.base);
+		case 'TaggedTemplate': return leftmost(node.tag);
+		default: return node;
+	}
+};
+
+// Whether node contains an `in` operator that is not enclosed in brackets.
+var containsIn = function(node){
+	switch (node.type){
+		case 'BinaryExpression':
+			return node.operator == 'in' || containsIn(node.left) || containsIn(node.right);
+		case 'AssignmentExpression':
+			return containsIn(node.left) || containsIn(node.right);
+		case 'ConditionalExpression':
+			return containsIn(node.condition) || containsIn(node.trueExpression) ||
+				containsIn(node.falseExpression);
+		case 'UnaryExpression':
+		case 'PostfixExpression': return containsIn(node.expression);
+		case 'FunctionCall': return containsIn(node.name);
+		case 'PropertyAccess': return containsIn(node.base);
+		case 'TaggedTemplate': return containsIn(node.tag);
+		case 'NewOperator': return containsIn(node.constructor);
+		case 'ArrowFunction': return !!node.expression && containsIn(node.expression);
+		default: return false;
+	}
+};
+
+// Formats an expression where the `in` operator is not allowed.
+var formatNoIn = function(node, minimum, options){
+	if (containsIn(node)) return parenthesize(format(node, options));
+	return formatOperand(node, minimum, options);
+};
+
+var changeCase = function(text, option){
+	if (option == 'lower') return text.toLowerCase();
+	if (option == 'upper') return text.toUpperCase();
+	return text;
+};
+
+// Numbers are printed as written, only changing the case of letters if asked to.
+format.NumericLiteral = function(node, options){
+	if (node.raw === undefined) return node.value + (node.bigint ? 'n' : '');
+	if (node.kind == 'hex'){
+		var hex = node.raw.match(/^(0[xX])(.*?)(n?)$/);
+		return hex[1] + changeCase(hex[2], options.hexCase) + hex[3];
+	}
+	if (node.kind != 'decimal') return node.raw;
+	return node.raw.replace(/[eE]/, function(e){
+		return changeCase(e, options.exponentCase);
+	});
+};
+
+format.UnaryExpression = function(node, options){
+	return [node.operator, ' ', formatOperand(node.expression, UNARY, options)];
+};
+
+/*
+ * The operands and operators of a chain of binary operators with the same
+ * precedence, like `a && b && c`, which is broken after every operator or not
+ * at all. All binary operators are left associative.
+ */
+var binaryParts = function(node, options){
+	var level = precedence(node);
+	var nested = node.left.type == 'BinaryExpression' && precedence(node.left) == level;
+	var parts = nested ? binaryParts(node.left, options) : [formatOperand(node.left, level, options)];
+	// The operations nested on the left are not formatted on their own.
+	if (nested){
+		parts[0] = [inlineLeadingComments(node.left), parts[0]];
+		parts[parts.length - 1] = commented({trailingComments: node.left.trailingComments}, parts[parts.length - 1]);
+	}
+	parts.push(node.operator == ',' ? ',' : ' ' + node.operator, line,
+		formatOperand(node.right, level + 1, options));
+	return parts;
+};
+
+format.BinaryExpression = function(node, options){
+	var parts = binaryParts(node, options);
+	return group([parts[0], indent(parts.slice(1))]);
+};
+
+format.ConditionalExpression = function(node, options){
+	return group([
+		formatOperand(node.condition, CONDITIONAL + 1, options),
+		indent([
+			line, '? ', formatOperand(node.trueExpression, ASSIGNMENT, options),
+			line, ': ', formatOperand(node.falseExpression, ASSIGNMENT, options)
+		])
+	]);
+};
+
+format.ParenthesizedExpression = function(node, options){
+	return parenthesize(format(node.value, options));
+};
+
+/*
+ * Several declarations go one per line when they do not fit on one. The kind
+ * is 'var', 'let' or 'const', and trees without one are taken to be 'var'.
+ */
+var formatDeclarations = function(kind, declarations){
+	kind = (kind || 'var') + ' ';
+	if (declarations.length == 1) return [kind, declarations[0]];
+	return group([kind, indent(join([',', line], declarations))]);
+};
+
+format.VariableStatement = function(node, options){
+	return [formatDeclarations(node.kind, node.declarations.map(function(declaration){
+		return format(declaration, options);
+	})), ';'];
+};
+
+// Declared names are strings, or patterns when destructuring.
+var formatTarget = function(target, options){
+	return typeof target == 'string' ? target : format(target, options);
+};
+
+// The declarations in a for or for-in statement.
+format.VariableDeclarations = function(node, options){
+	return formatDeclarations(node.kind, node.declarations.map(function(declaration){
+		var name = formatTarget(declaration.name, options);
+		if (!declaration.value) return commented(declaration, name);
+		return commented(declaration, [name, ' = ', formatNoIn(declaration.value, ASSIGNMENT, options)]);
+	}));
+};
+
+format.VariableDeclaration = function(node, options){
+	var name = formatTarget(node.name, options);
+	if (!node.value) return name;
+	return [name, ' = ', formatOperand(node.value, ASSIGNMENT, options)];
+};
+
+/*
+ * Formats comma separated elements between open and close, on one line when
+ * they fit and one per line otherwise. Dangling comments of the container go
+ * after the elements, on lines of their own.
+ */
+var formatList = function(open, nodes, close, options, container){
+	var dangling = container ? danglingComments(container) : [];
+	if (nodes.length == 0 && dangling.length == 0) return open + close;
+	var elements = nodes.map(function(node, i){
+		// A hole in an array literal or pattern.
+		if (!node) return ',';
+		return [
+			inlineLeadingComments(node), formatOperand(node, ASSIGNMENT, options, true),
+			i < nodes.length - 1 ? ',' : '', trailingComments(node)
+		];
+	});
+	var contents = join(line, elements);
+	if (dangling.length){
+		contents = [join(hardline, (elements.length ? [contents] : []).concat(dangling)), breakParent];
+	}
+	return group([open, indent([softline, contents]), softline, close]);
+};
+
+var isBlockLike = function(node){
+	return node.type == 'Function' || (node.type == 'ArrowFunction' && !!node.elements) ||
+		(node.type == 'ObjectLiteral' && (node.properties.length > 0 || !!node.danglingComments)) ||
+		(node.type == 'Class' && (node.members.length > 0 || !!node.danglingComments));
+};
+
+/*
+ * Arguments are broken one per line when they do not fit, except that a
+ * single function or object literal as the first or last argument stays on
+ * the line of the call, like in `foo(a, function(){`, when the arguments up to
+ * its brace fit.
+ */
+var formatArguments = function(nodes, options, call){
+	var blocks = nodes.filter(isBlockLike);
+	var hug = blocks.length == 1 && !hasComments(nodes) &&
+		(isBlockLike(nodes[0]) || isBlockLike(nodes[nodes.length - 1]));
+	if (!hug) return formatList('(', nodes, ')', options, call);
+	var formatted = nodes.map(function(node){
+		return formatOperand(node, ASSIGNMENT, options);
+	});
+	return conditionalGroup([
+		['(', join(', ', formatted.map(function(document, i){
+			return isBlockLike(nodes[i]) ? group(document) : document;
+		})), ')'],
+		group(['(', indent([softline, join([',', line], formatted)]), softline, ')'])
+	]);
+};
+
+/*
+ * The property accesses, calls and tagged templates of a member chain, like
+ * `.b` and `()` in `a.b()`.
+ */
+var chainSegments = function(node){
+	var segments = [];
+	while (node.type == 'FunctionCall' || node.type == 'PropertyAccess' || node.type == 'TaggedTemplate'){
+		segments.unshift(node);
+		switch (node.type){
+			case 'FunctionCall': node = node.name; break;
+			case 'PropertyAccess': node = node.base; break;
+			case 'TaggedTemplate': node = node.tag; break;
+		}
+	}
+	return {head: node, segments: segments};
+};
+
+var formatSegment = function(node, options){
+	if (node.type == 'FunctionCall') return formatArguments(node.arguments, options, node);
+	if (node.type == 'TaggedTemplate') return format(node.template, options);
+	if (node.name.type) return ['[', format(node.name, options), ']'];
+	return '.' + node.name;
+};
+
+/*
+ * Member chains with three or more calls are broken before every `.` that
+ * leads to a call when they do not fit, like
+ *
+ *     promise
+ *         .then(a)
+ *         .then(b)
+ *         .then(c);
+ *
+ * The first call also stays on the line of the head when that is `this` or a
+ * name shorter than the indentation.
+ */
+var formatChain = function(node, options){
+	var chain = chainSegments(node);
+	var head = [formatOperand(chain.head, CALL, options)];
+	// A dot right after an integer would be read as its decimal point.
+	if (chain.head.type == 'NumericLiteral' && /^[\d_]+$/.test(head[0])) head[0] = parenthesize(head[0]);
+	var groups = [], current = [], calls = 0, leading = [];
+	chain.segments.forEach(function(segment, i){
+		var formatted = formatSegment(segment, options);
+		// Only the outermost segment is formatted on its own, with its comments.
+		if (i < chain.segments.length - 1){
+			leading.unshift(inlineLeadingComments(segment));
+			formatted = commented({trailingComments: segment.trailingComments}, formatted);
+		}
+		if (segment.type == 'FunctionCall') calls++;
+		// Calls, templates and computed accesses stay with what they are called on.
+		if (current.length == 0 && (segment.type != 'PropertyAccess' || segment.name.type)){
+			(groups.length ? groups[groups.length - 1] : head).push(formatted);
+			return;
+		}
+		current.push(formatted);
+		if (segment.type == 'FunctionCall'){
+			groups.push(current);
+			current = [];
+		}
+	});
+	if (current.length) groups.push(current);
+	if (calls < 3) return [leading, head, groups];
+	var short = chain.head.type == 'This' ||
+		(chain.head.type == 'Variable' && chain.head.name.length <= options.indentWidth);
+	if (short && head.length == 1) head.push(groups.shift());
+	return [leading, group([head, indent(groups.map(function(segments){
+		return [softline, segments];
+	}))])];
+};
+
+format.FunctionCall = function(node, options){
+	return formatChain(node, options);
+};
+
+// What goes between the parameters of a function, arrows too, and its body.
+var functionBrace = function(options){
+	if (options.braceStyle == 'next-line') return hardline;
+	return options.spaceBeforeFunctionBrace ? ' ' : '';
+};
+
+/*
+ * The parameters and body of a function, getter or setter, after its name.
+ * Parameters are broken one per line when they do not fit.
+ */
+var formatFunction = function(params, body, node, options){
+	return [formatList('(', params, ')', options), functionBrace(options), formatBlock(body, node, options)];
+};
+
+format.Function = function(node, options){
+	var word = (node.async ? 'async ' : '') + (node.generator ? 'function*' : 'function');
+	var header = node.name
+		? word + ' ' + node.name + (options.spaceBeforeFunctionParen ? ' ' : '')
+		: word + (options.spaceAfterKeyword ? ' ' : '');
+	return [header, formatFunction(node.params, node.elements, node, options)];
+};
+
+/*
+ * Expression bodies other than calls, member accesses and literals, in
+ * parentheses or not, go on the next line when they do not fit after the arrow.
+ */
+format.ArrowFunction = function(node, options){
+	var params = node.params.length == 1 && options.arrowParens == 'avoid' && node.params[0].type == 'Variable' &&
+		!hasComments(node.params)
+		? node.params[0].name
+		: ['(', join(', ', node.params.map(function(param){
+			return format(param, options);
+		})), ')'];
+	var head = [node.async ? 'async ' : '', params, ' =>'];
+	if (node.elements) return [head, functionBrace(options), formatBlock(node.elements, node, options)];
+	var body = formatOperand(node.expression, ASSIGNMENT, options);
+	// A body starting with a brace would be read as a block.
+	var first = leftmost(node.expression).type;
+	if (first == 'ObjectLiteral' || first == 'ObjectPattern') body = parenthesize(body);
+	var expression = node.expression;
+	while (expression.type == 'ParenthesizedExpression') expression = expression.value;
+	if (first == 'ObjectLiteral' || first == 'ObjectPattern' ||
+		/^(FunctionCall|PropertyAccess|NewOperator|ArrayLiteral|ObjectLiteral|Function|ArrowFunction)$/.test(expression.type)){
+		return [head, ' ', body];
+	}
+	return group([head, indent([line, body])]);
+};
+
+/*
+ * Strings are printed as written. Changing their quotes only changes the
+ * escapes of the quote characters, other escapes are kept.
+ */
+format.StringLiteral = function(node, options){
+	if (node.raw === undefined) return quote(node.value, options);
+	var from = node.raw.charAt(0), to = {double: '"', single: "'"}[options.quotes] || from;
+	if (from == to) return node.raw;
+	return to + node.raw.slice(1, -1).replace(/\\[\s\S]|["']/g, function(match){
+		if (match == '\\' + from) return from;
+		if (match == to) return '\\' + to;
+		return match;
+	}) + to;
 };
 
 format.BooleanLiteral = function(node){
@@ -100,111 +684,236 @@ format.Variable = function(node){
 	return node.name;
 };
 
-format.PropertyAccess = function(node, indent){
-	var base = format(node.base, indent);
-	if (node.name.type) return base + '[' + format(node.name, indent) + ']';
-	else return base + '.' + node.name;
+format.PropertyAccess = function(node, options){
+	return formatChain(node, options);
+};
+
+format.TaggedTemplate = function(node, options){
+	return formatChain(node, options);
 };
 
-format.IfStatement = function(node, indent){
-	var result = 'if (' + format(node.condition) + ') ' + format(node.ifStatement, indent);
+// The literal parts are printed as they are, only the expressions are formatted.
+format.TemplateLiteral = function(node, options){
+	var result = ['`' + node.parts[0]];
+	node.expressions.forEach(function(expression, i){
+		result.push('${', format(expression, options), '}' + node.parts[i + 1]);
+	});
+	return result.concat('`');
+};
+
+format.IfStatement = function(node, options){
+	var result = [
+		keyword('if', options), format(node.condition, options), ')',
+		formatBody(node.ifStatement, options)
+	];
 	if (node.elseStatement){
-		result += ' else ' + format(node.elseStatement, indent);
+		result.push(continuation(node.ifStatement, 'else', options), formatBody(node.elseStatement, options));
 	}
 	return result;
 };
 
-format.Block = function(node, indent){
-	return '{\n' + node.statements.map(function(statement){
-		return indent + INDENT + format(statement, indent + INDENT) + '\n';
-	}).join('') + indent + '}';
+format.Block = function(node, options){
+	return formatBlock(node.statements, node, options);
 };
 
-format.ReturnStatement = function(node, indent){
+format.ReturnStatement = function(node, options){
 	if (!node.value) return 'return;';
-	return 'return ' + format(node.value, indent) + ';';
+	return ['return ', format(node.value, options), ';'];
 };
 
 format.EmptyStatement = function(node){
 	return ';';
 };
 
-format.ExpressionStatement = function(node, indent){
-	return format(node.value, indent) + ';';
+// Whether node starts with `let[`, which would be read as a declaration.
+var startsWithLetBracket = function(node){
+	switch (node.type){
+		case 'BinaryExpression':
+		case 'AssignmentExpression': return startsWithLetBracket(node.left);
+		case 'ConditionalExpression': return startsWithLetBracket(node.condition);
+		case 'PostfixExpression': return startsWithLetBracket(node.expression);
+		case 'FunctionCall': return startsWithLetBracket(node.name);
+		case 'TaggedTemplate': return startsWithLetBracket(node.tag);
+		case 'PropertyAccess':
+			if (node.base.type == 'Variable' && node.base.name == 'let') return typeof node.name != 'string';
+			return startsWithLetBracket(node.base);
+		default: return false;
+	}
 };
 
-format.AssignmentExpression = function(node, indent){
-	return format(node.left) + ' ' + node.operator + ' ' + format(node.right, indent);
+format.ExpressionStatement = function(node, options){
+	var result = format(node.value, options);
+	// A statement starting with these would be read as a block or declaration.
+	var first = leftmost(node.value).type;
+	if (/^(ObjectLiteral|ObjectPattern|Function|Class)$/.test(first) || startsWithLetBracket(node.value)){
+		result = parenthesize(result);
+	}
+	return [result, ';'];
+};
+
+format.YieldExpression = function(node, options){
+	var word = node.delegate ? 'yield*' : 'yield';
+	if (!node.expression) return word;
+	return [word, ' ', formatOperand(node.expression, ASSIGNMENT, options)];
+};
+
+// Assignment is right associative.
+format.AssignmentExpression = function(node, options){
+	return [
+		formatOperand(node.left, CALL, options), ' ', node.operator, ' ',
+		formatOperand(node.right, ASSIGNMENT, options)
+	];
+};
+
+format.PostfixExpression = function(node, options){
+	return [formatOperand(node.expression, CALL, options), node.operator];
+};
+
+format.ArrayLiteral = function(node, options){
+	return formatList('[', node.elements, ']', options, node);
+};
+
+// Object literals always have one property per line.
+format.ObjectLiteral = function(node, options){
+	if (node.properties.length == 0 && !node.danglingComments) return '{}';
+	return formatLines(join(hardline, node.properties.map(function(property, i){
+		return [
+			leadingComments(property), formatNode(property, options),
+			i < node.properties.length - 1 ? ',' : '', trailingComments(property)
+		];
+	}).concat(danglingComments(node))));
+};
+
+format.ObjectPattern = function(node, options){
+	return formatList('{', node.properties, '}', options, node);
 };
 
-format.PostfixExpression = function(node){
-	return format(node.expression) + node.operator;
+format.ArrayPattern = function(node, options){
+	return formatList('[', node.elements, ']', options, node);
 };
 
-format.ArrayLiteral = function(node, indent){
-	return '[' + node.elements.map(function(element){
-		return format(element, indent);
-	}).join(', ') + ']';
+// Properties like `{a: a}` are shortened to `{a}`.
+format.PatternProperty = function(node, options){
+	var target = node.value.type == 'AssignmentPattern' ? node.value.target : node.value;
+	if (!node.computed && target.type == 'Variable' && target.name === node.name) return format(node.value, options);
+	return [formatMemberName(node, options), ': ', format(node.value, options)];
 };
 
-format.ObjectLiteral = function(node, indent){
-	if (node.properties.length == 0) return '{}';
-	return '{\n' + node.properties.map(function(property){
-		return indent + INDENT + format(property, indent);
-	}).join(',\n') + '\n' + indent + '}';
+format.AssignmentPattern = function(node, options){
+	return [format(node.target, options), ' = ', formatOperand(node.value, ASSIGNMENT, options)];
+};
+
+format.RestElement = function(node, options){
+	return ['...', format(node.target, options)];
+};
+
+format.SpreadElement = function(node, options){
+	return ['...', formatOperand(node.expression, ASSIGNMENT, options)];
+};
+
+var regExpGroups = {capturing: '(', nonCapturing: '(?:'};
+
+var regExpAssertions = {
+	start: '^', end: '$', wordBoundary: '\\b', nonWordBoundary: '\\B',
+	lookahead: '(?=', negativeLookahead: '(?!', lookbehind: '(?<=', negativeLookbehind: '(?<!'
+};
+
+// The source of a regular expression pattern tree.
+var regExpSource = function(node){
+	switch (node.type){
+		case 'RegExpDisjunction': return node.alternatives.map(regExpSource).join('|');
+		case 'RegExpAlternative': return node.terms.map(regExpSource).join('');
+		case 'RegExpGroup':
+			var open = node.kind == 'named' ? '(?<' + node.name + '>' : regExpGroups[node.kind];
+			return open + regExpSource(node.disjunction) + ')';
+		case 'RegExpAssertion':
+			var assertion = regExpAssertions[node.kind];
+			return node.disjunction ? assertion + regExpSource(node.disjunction) + ')' : assertion;
+		case 'RegExpQuantified': return regExpSource(node.atom) + node.raw + (node.greedy ? '' : '?');
+		case 'RegExpClass': return '[' + (node.negated ? '^' : '') + node.ranges.map(regExpSource).join('') + ']';
+		case 'RegExpClassRange': return regExpSource(node.from) + '-' + regExpSource(node.to);
+		case 'RegExpCharacter': return node.raw;
+	}
 };
 
 format.RegularExpressionLiteral = function(node){
-	return '/' + node.body + '/' + node.flags;
+	return '/' + (node.pattern ? regExpSource(node.pattern) : node.body) + '/' + node.flags;
 };
 
 format.This = function(node){
 	return 'this';
 };
 
-format.ThrowStatement = function(node, indent){
-	return 'throw ' + format(node.exception, indent);
+format.ThrowStatement = function(node, options){
+	return ['throw ', format(node.exception, options), ';'];
+};
+
+format.ForStatement = function(node, options){
+	var initializer = '';
+	if (node.initializer && node.initializer.type == 'VariableDeclarations'){
+		initializer = format(node.initializer, options);
+	} else if (node.initializer){
+		initializer = formatNoIn(node.initializer, COMMA, options);
+	}
+	return [
+		keyword('for', options), initializer, '; ',
+		node.test ? format(node.test, options) : '', '; ',
+		node.counter ? format(node.counter, options) : '', ')',
+		formatBody(node.statement, options)
+	];
+};
+
+format.ForInStatement = function(node, options){
+	var iterator = node.iterator.type == 'VariableDeclarations'
+		? format(node.iterator, options)
+		: formatOperand(node.iterator, CALL, options);
+	return [
+		keyword('for', options), iterator, ' in ', format(node.collection, options), ')',
+		formatBody(node.statement, options)
+	];
 };
 
-format.ForStatement = function(node, indent){
-	return 'for (' +
-		(node.initializer ? format(node.initializer) : '') + '; ' +
-		(node.test ? format(node.test) : '') + '; ' +
-		(node.counter ? format(node.counter) : '') + ')' +
-		format(node.statement, indent);
+format.WhileStatement = function(node, options){
+	return [
+		keyword('while', options), format(node.condition, options), ')',
+		formatBody(node.statement, options)
+	];
 };
 
-format.ForInStatement = function(node, indent){
-	return 'for (' +
-		format(node.iterator) + ' in ' +
-		format(node.collection) + ') ' +
-		format(node.statement, indent);
+format.DoWhileStatement = function(node, options){
+	return [
+		'do', formatBody(node.statement, options),
+		continuation(node.statement, keyword('while', options), options),
+		format(node.condition, options), ');'
+	];
 };
 
-format.WhileStatement = function(node, indent){
-	return 'while (' + format(node.condition) + ') ' + format(node.statement, indent);
+format.WithStatement = function(node, options){
+	return [
+		keyword('with', options), format(node.environment, options), ')',
+		formatBody(node.statement, options)
+	];
 };
 
-format.DoWhileStatement = function(node, indent){
-	return 'do ' + format(node.statement, indent) + ' while (' + format(node.condition) + ');';
+format.SwitchStatement = function(node, options){
+	return [
+		keyword('switch', options), format(node.expression, options), ')',
+		options.braceStyle == 'next-line' ? hardline : ' ',
+		formatBlock(node.clauses, node, options)
+	];
 };
 
-format.SwitchStatement = function(node, indent){
-	return 'switch (' + format(node.expression, indent) + '){\n' + node.clauses.map(function(clause){
-		return indent + INDENT + format(clause, indent + INDENT);
-	}).join('\n') + '\n' + indent + '}';
+var formatClause = function(header, node, options){
+	if (node.statements.length == 0) return header;
+	return [header, indent([hardline, formatStatements(node.statements, node, options)])];
 };
 
-format.CaseClause = function(node, indent){
-	return 'case ' + format(node.selector, indent) + ':\n' + node.statements.map(function(statement){
-		return indent + INDENT + format(statement, indent + INDENT);
-	}).join('\n');
+format.CaseClause = function(node, options){
+	return formatClause(['case ', format(node.selector, options), ':'], node, options);
 };
 
-format.DefaultClause = function(node, indent){
-	return 'default:\n' + node.statements.map(function(statement){
-		return indent + INDENT + format(statement, indent + INDENT);
-	}).join('\n');
+format.DefaultClause = function(node, options){
+	return formatClause('default:', node, options);
 };
 
 format.BreakStatement = function(node){
@@ -215,31 +924,332 @@ format.ContinueStatement = function(node){
 	return node.label ? 'continue ' + node.label + ';' : 'continue;';
 };
 
-format.TryStatement = function(node, indent){
-	return 'try ' + format(node.block, indent) +
-		(node['catch'] ? format(node['catch'], indent) : '')+ 
-		(node['finally'] ? format(node['finally'], indent) : '');
+format.LabelledStatement = function(node, options){
+	return [node.label, ': ', format(node.statement, options)];
+};
+
+format.TryStatement = function(node, options){
+	var result = ['try', formatBody(node.block, options)];
+	if (node['catch']){
+		result.push(continuation(node.block, keyword('catch', options), options), format(node['catch'], options));
+	}
+	if (node['finally']){
+		result.push(continuation(node['catch'] || node.block, 'finally', options), format(node['finally'], options));
+	}
+	return result;
+};
+
+// The parameter and block of a catch clause, after `catch (`.
+format.Catch = function(node, options){
+	return [formatTarget(node.identifier, options), ')', formatBody(node.block, options)];
+};
+
+// The block of a finally clause, after `finally`.
+format.Finally = function(node, options){
+	return formatBody(node.block, options);
+};
+
+format.DebuggerStatement = function(node){
+	return 'debugger;';
+};
+
+var isIdentifierName = function(name){
+	for (var offset = 0; offset < name.length; offset += code > 0xFFFF ? 2 : 1){
+		var code = unicode.codePointAt(name, offset);
+		if (!(offset == 0 ? unicode.isIdentifierStart(code) : unicode.isIdentifierPart(code))) return false;
+	}
+	return name.length > 0;
+};
+
+/*
+ * Property names are printed as written: identifier names as they are, and
+ * string and numeric literals from their source. Names from trees without
+ * literal nodes are only quoted when they are not identifier names.
+ */
+var formatPropertyName = function(name, options){
+	if (typeof name != 'string') return format(name, options);
+	return isIdentifierName(name) ? name : quote(name, options);
+};
+
+format.PropertyAssignment = function(node, options){
+	return [formatPropertyName(node.name, options), ': ', formatOperand(node.value, ASSIGNMENT, options)];
+};
+
+var formatAccessor = function(word, node, params, options){
+	return [
+		word, ' ', formatPropertyName(node.name, options), options.spaceBeforeFunctionParen ? ' ' : '',
+		formatFunction(params, node.body, node, options)
+	];
+};
+
+format.GetterDefinition = function(node, options){
+	return formatAccessor('get', node, [], options);
+};
+
+format.SetterDefinition = function(node, options){
+	return formatAccessor('set', node, [node.param], options);
 };
 
-format.Catch = function(node, indent){
-	return ' catch (' + node.identifier + ')' + format(node.block, indent);
+/*
+ * Methods have a blank line before and after them, fields keep the blank
+ * lines between them like statements do.
+ */
+var separateMembers = function(previous, next){
+	return previous.type == 'MethodDefinition' || next.type == 'MethodDefinition';
 };
 
-format.Finally = function(node, indent){
-	return ' finally ' + format(node.block, indent);
+format.Class = function(node, options){
+	var result = ['class'];
+	if (node.name) result.push(' ', node.name);
+	if (node.superClass) result.push(' extends ', formatOperand(node.superClass, CALL, options));
+	result.push(options.braceStyle == 'next-line' ? hardline : ' ');
+	if (node.members.length == 0 && !node.danglingComments) return result.concat(formatLines([]));
+	return result.concat(formatLines(formatStatements(node.members, node, options, separateMembers)));
 };
 
-format.PropertyAssignment = function(node, indent){
-	return JSON.stringify(node.name) + ': ' + format(node.value, indent + INDENT);
+// Names of class members and pattern properties, which may be computed.
+var formatMemberName = function(node, options){
+	if (node.computed) return ['[', formatOperand(node.name, ASSIGNMENT, options), ']'];
+	return formatPropertyName(node.name, options);
 };
 
-format.NewOperator = function(node, indent){
-	return 'new ' + format(node.constructor, indent) + '(' + node.arguments.map(function(argument){
-		return format(argument, indent);
-	}).join(', ') + ')';
+format.MethodDefinition = function(node, options){
+	return [
+		node.static ? 'static ' : '',
+		node.async ? 'async ' : '',
+		node.kind == 'get' || node.kind == 'set' ? node.kind + ' ' : '',
+		node.generator ? '*' : '',
+		formatMemberName(node, options), options.spaceBeforeFunctionParen ? ' ' : '',
+		formatFunction(node.params, node.elements, node, options)
+	];
 };
 
-exports.format = function(input){
-	parsed = javascript.parse(input);
-	return format(parsed);
+format.FieldDefinition = function(node, options){
+	var result = [node.static ? 'static ' : '', formatMemberName(node, options)];
+	if (node.value) result.push(' = ', formatOperand(node.value, ASSIGNMENT, options));
+	return result.concat(';');
+};
+
+format.Super = function(node){
+	return 'super';
+};
+
+// Whether the member expression node contains a call, like `a().b`.
+var containsCall = function(node){
+	if (node.type == 'FunctionCall') return true;
+	if (node.type == 'TaggedTemplate') return containsCall(node.tag);
+	return node.type == 'PropertyAccess' && containsCall(node.base);
+};
+
+format.NewOperator = function(node, options){
+	// The first argument list after `new` belongs to it, so calls in the
+	// constructor expression need parentheses.
+	var constructor = format(node.constructor, options);
+	if (precedence(node.constructor) < MEMBER || containsCall(node.constructor)){
+		constructor = parenthesize(constructor);
+	}
+	return ['new ', constructor, formatArguments(node.arguments, options, node)];
+};
+
+/*
+ * Import and export specifiers are broken one per line when they do not fit,
+ * like arguments.
+ */
+format.ImportDeclaration = function(node, options){
+	var clause = [];
+	if (node.defaultName) clause.push(node.defaultName);
+	if (node.namespace) clause.push('* as ' + node.namespace);
+	if (node.specifiers) clause.push(formatList('{', node.specifiers, '}', options));
+	if (clause.length == 0) return ['import ', format(node.source, options), ';'];
+	return ['import ', join(', ', clause), ' from ', format(node.source, options), ';'];
+};
+
+format.ImportSpecifier = function(node){
+	return node.imported == node.local ? node.local : node.imported + ' as ' + node.local;
+};
+
+format.ExportDeclaration = function(node, options){
+	return ['export ', format(node.declaration, options)];
+};
+
+format.ExportDefaultDeclaration = function(node, options){
+	var declaration = node.declaration;
+	if (declaration.type == 'Function' || declaration.type == 'Class'){
+		return ['export default ', format(declaration, options)];
+	}
+	var result = formatOperand(declaration, ASSIGNMENT, options);
+	// An expression starting with these would be read as a declaration.
+	var first = leftmost(declaration).type;
+	if (first == 'Function' || first == 'Class') result = parenthesize(result);
+	return ['export default ', result, ';'];
+};
+
+format.ExportNamedDeclaration = function(node, options){
+	var result = ['export ', formatList('{', node.specifiers, '}', options)];
+	if (node.source !== null) result.push(' from ', format(node.source, options));
+	return result.concat(';');
+};
+
+format.ExportSpecifier = function(node){
+	return node.local == node.exported ? node.local : node.local + ' as ' + node.exported;
+};
+
+format.ExportAllDeclaration = function(node, options){
+	return ['export *', node.exported ? ' as ' + node.exported : '', ' from ', format(node.source, options), ';'];
+};
+
+var lineEndings = {lf: '\n', crlf: '\r\n', cr: '\r'};
+
+// Parses formatted code with the goal its tree was parsed with.
+var parseAgain = function(ast, result){
+	return javascript.parse(result, {sourceType: ast.type == 'Module' ? 'module' : 'script'});
+};
+
+// Throws an error when result does not parse into the same tree as ast.
+var verifyResult = function(ast, result){
+	try {
+		var differences = verify.compare(ast, parseAgain(ast, result));
+	} catch (e){
+		throw new Error('formatted code does not parse: ' + e.line + ':' + e.column + ': ' + e.message);
+	}
+	if (differences.length){
+		throw new Error('formatted code differs from the input:\n  ' + differences.join('\n  '));
+	}
+};
+
+// Throws an error when formatting result again changes it.
+var checkIdempotency = function(ast, result, options){
+	var again = layout.print(format(parseAgain(ast, result), options), options);
+	if (again == result) return;
+	var before = result.split('\n'), after = again.split('\n');
+	for (var i = 0; before[i] === after[i]; i++);
+	throw new Error('formatting again changes line ' + (i + 1) + ':\n' +
+		'  first:  ' + (i < before.length ? before[i] : '(end of file)') + '\n' +
+		'  second: ' + (i < after.length ? after[i] : '(end of file)'));
+};
+
+/*
+ * Formats a tree as returned by javascript.parse, which may also have been
+ * built or transformed by other code. The 'auto' endOfLine option falls back to
+ * 'lf' as there is no input to look at.
+ */
+exports.formatTree = function(ast, options, input){
+	options = getOptions(options);
+	var result = layout.print(format(ast, options), options);
+	if (options.verify) verifyResult(ast, result);
+	if (options.idempotency) checkIdempotency(ast, result, options);
+	var endOfLine = exports.lineEnding(options, input);
+	return endOfLine == '\n' ? result : result.replace(/\n/g, endOfLine);
+};
+
+// The line ending the endOfLine option stands for.
+exports.lineEnding = function(options, input){
+	var endOfLine = getOptions(options).endOfLine;
+	if (endOfLine == 'auto') return ((input || '').match(/\r\n|\n|\r/) || ['\n'])[0];
+	return lineEndings[endOfLine];
+};
+
+exports.format = function(input, options){
+	var sourceType = getOptions(options).sourceType;
+	return exports.formatTree(javascript.parse(input, {sourceType: sourceType}), options, input);
+};
+
+// The statement lists directly inside node, like the body of a nested function.
+var statementLists = function(node, lists){
+	lists = lists || [];
+	if (Array.isArray(node)){
+		node.forEach(function(child){
+			statementLists(child, lists);
+		});
+	} else if (node && typeof node == 'object'){
+		for (var key in node){
+			if (key == 'loc' || /Comments$/.test(key)) continue;
+			var statements = (key == 'elements' && /^(Program|Module|Function|ArrowFunction|MethodDefinition)$/.test(node.type)) ||
+				(key == 'statements' && node.type != 'SwitchStatement');
+			if (statements) lists.push(node[key]);
+			else statementLists(node[key], lists);
+		}
+	}
+	return lists;
+};
+
+// Where node starts and ends, including its comments.
+var span = function(node){
+	var leading = node.leadingComments || [], trailing = node.trailingComments || [];
+	return {
+		start: leading.length ? leading[0].start : node.start,
+		end: trailing.length ? trailing[trailing.length - 1].end : node.end
+	};
+};
+
+/*
+ * The statements of list that range overlaps, or the statements of a list
+ * nested in one of them if those already contain the whole range.
+ */
+var selectStatements = function(list, range){
+	var selected = list.filter(function(statement){
+		var extent = span(statement);
+		if (range.start == range.end) return extent.start <= range.start && range.start <= extent.end;
+		return extent.start < range.end && range.start < extent.end;
+	});
+	if (selected.length == 0) return null;
+	var result = {
+		statements: selected,
+		start: span(selected[0]).start,
+		end: span(selected[selected.length - 1]).end
+	};
+	if (selected.length > 1) return result;
+	var lists = statementLists(selected[0]);
+	for (var i = 0; i < lists.length; i++){
+		var nested = selectStatements(lists[i], range);
+		if (nested && nested.start <= range.start && range.end <= nested.end) return nested;
+	}
+	return result;
+};
+
+var lineOffset = function(input, line){
+	var pattern = /\r\n|[\n\r\u2028\u2029]/g;
+	for (var offset = 0; line > 1 && pattern.exec(input); line--) offset = pattern.lastIndex;
+	return line > 1 ? input.length : offset;
+};
+
+/*
+ * Formats only the statements that a range of input overlaps, for formatting
+ * an editor selection. The range is either character offsets {start, end} or
+ * lines {startLine, endLine}, counted from 1 and inclusive. The smallest
+ * enclosing statements are formatted at the width of their current
+ * indentation, which is rewritten with options.indentStyle when they start
+ * their line, so that the lines of nested statements do not mix tabs and
+ * spaces. The result is {start, end, text}: the text that replaces input from
+ * start to end. Returns null when the range holds no statement. The verify
+ * and idempotency options only apply to exports.format.
+ */
+exports.formatRange = function(input, range, options){
+	options = getOptions(options);
+	if (range.startLine !== undefined){
+		range = {
+			start: lineOffset(input, range.startLine),
+			end: lineOffset(input, range.endLine + 1)
+		};
+	}
+	// Whitespace around the selection does not widen it.
+	var start = range.start, end = range.end;
+	while (start < end && /\s/.test(input.charAt(start))) start++;
+	while (start < end && /\s/.test(input.charAt(end - 1))) end--;
+	var selected = selectStatements(javascript.parse(input, {sourceType: options.sourceType}).elements, {start: start, end: end});
+	if (!selected) return null;
+	var lineStart = input.slice(0, selected.start).search(/[^\n\r\u2028\u2029]*$/);
+	var startsLine = /^[ \t]*$/.test(input.slice(lineStart, selected.start));
+	var width = input.slice(lineStart).match(/^[ \t]*/)[0].replace(/\t/g, new Array(options.indentWidth + 1).join(' ')).length;
+	var indentation = options.indentStyle == 'tab'
+		? new Array(Math.floor(width / options.indentWidth) + 1).join('\t') + new Array(width % options.indentWidth + 1).join(' ')
+		: new Array(width + 1).join(' ');
+	var text = layout.print(formatStatements(selected.statements, {}, options), options, indentation);
+	var endOfLine = exports.lineEnding(options, input);
+	if (startsLine) text = indentation + text;
+	return {
+		start: startsLine ? lineStart : selected.start,
+		end: selected.end,
+		text: endOfLine == '\n' ? text : text.replace(/\n/g, endOfLine)
+	};
 };
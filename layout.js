@@ -0,0 +1,219 @@
+/*
+ * Document algebra used by the formatter, in the spirit of Wadler's "A prettier
+ * printer".
+ *
+ * A document is a string, an array of documents (printed one after another) or
+ * one of the objects created below. Groups are printed flat, with their lines
+ * as spaces (or nothing, for soft lines), when they fit in the rest of the
+ * line, and broken, with their lines as newlines, otherwise. Indentation only
+ * applies to the lines inside of it.
+ */
+
+var group = exports.group = function(contents){
+	return {type: 'group', contents: contents, broken: false};
+};
+
+var indent = exports.indent = function(contents){
+	return {type: 'indent', contents: contents};
+};
+
+// A space, or a newline when the enclosing group is broken.
+var line = exports.line = {type: 'line', soft: false, hard: false};
+
+// Nothing, or a newline when the enclosing group is broken.
+var softline = exports.softline = {type: 'line', soft: true, hard: false};
+
+// Always a newline. Also breaks all enclosing groups.
+var hardline = exports.hardline = {type: 'line', soft: false, hard: true};
+
+// Breaks all enclosing groups without printing anything.
+var breakParent = exports.breakParent = {type: 'breakParent'};
+
+/*
+ * The first of states whose first line fits in the rest of the line when
+ * printed flat, where only the groups with a hard line inside are broken, or
+ * else the last state.
+ */
+var conditionalGroup = exports.conditionalGroup = function(states){
+	return {type: 'conditionalGroup', states: states};
+};
+
+/*
+ * Printed at the end of the line, right before the next newline, like a line
+ * comment after an expression that continues on the line.
+ */
+var lineSuffix = exports.lineSuffix = function(contents){
+	return {type: 'lineSuffix', contents: contents};
+};
+
+var join = exports.join = function(separator, documents){
+	var result = [];
+	documents.forEach(function(document, i){
+		if (i > 0) result.push(separator);
+		result.push(document);
+	});
+	return result;
+};
+
+// Marks the groups that contain a hard line or breakParent as broken.
+var propagateBreaks = function(document){
+	if (typeof document == 'string') return false;
+	if (Array.isArray(document)){
+		var result = false;
+		document.forEach(function(part){
+			if (propagateBreaks(part)) result = true;
+		});
+		return result;
+	}
+	switch (document.type){
+		case 'group':
+			if (propagateBreaks(document.contents)) document.broken = true;
+			return document.broken;
+		case 'indent':
+		case 'lineSuffix': return propagateBreaks(document.contents);
+		case 'conditionalGroup':
+			var broken = false;
+			document.states.forEach(function(state){
+				if (propagateBreaks(state)) broken = true;
+			});
+			return broken;
+		case 'line': return document.hard;
+		case 'breakParent': return true;
+	}
+	return false;
+};
+
+var BREAK = 'break', FLAT = 'flat';
+
+// Removes the whitespace at the end of the output.
+var trim = function(output){
+	while (output.length > 0){
+		var last = output.pop().replace(/[ \t]+$/, '');
+		if (last){
+			output.push(last);
+			return;
+		}
+	}
+};
+
+var textWidth = function(text, options){
+	return text.replace(/\t/g, new Array(options.indentWidth + 1).join(' ')).length;
+};
+
+/*
+ * Whether the command fits in width, followed by the rest of the commands up
+ * to their first line in broken mode.
+ */
+var fits = function(command, rest, width, options){
+	var commands = [command];
+	var restIndex = rest.length;
+	while (width >= 0){
+		if (commands.length == 0){
+			if (restIndex == 0) return true;
+			commands.push(rest[--restIndex]);
+			continue;
+		}
+		var current = commands.pop();
+		var mode = current[1], document = current[2];
+		if (typeof document == 'string'){
+			var newline = document.search(/\n/);
+			if (newline != -1) return width - textWidth(document.slice(0, newline), options) >= 0;
+			width -= textWidth(document, options);
+		} else if (Array.isArray(document)){
+			for (var i = document.length - 1; i >= 0; i--) commands.push([current[0], mode, document[i]]);
+		} else switch (document.type){
+			case 'group':
+				commands.push([current[0], document.broken ? BREAK : mode, document.contents]);
+				break;
+			case 'indent':
+				commands.push([current[0], mode, document.contents]);
+				break;
+			case 'conditionalGroup':
+				var states = document.states;
+				commands.push([current[0], mode, mode == BREAK ? states[states.length - 1] : states[0]]);
+				break;
+			case 'lineSuffix':
+				break;
+			case 'line':
+				if (mode == BREAK || document.hard) return true;
+				if (!document.soft) width--;
+				break;
+		}
+	}
+	return false;
+};
+
+/*
+ * Prints document with options.printWidth columns, indenting with
+ * options.indentStyle and options.indentWidth. Trailing whitespace is removed
+ * from every line. When the document continues a line starting with the
+ * indentation base, that is added to all of its lines except the first. Line
+ * suffixes wait in suffixes for the next newline or the end.
+ */
+exports.print = function(document, options, base){
+	propagateBreaks(document);
+	var unit = options.indentStyle == 'tab' ? '\t' : new Array(options.indentWidth + 1).join(' ');
+	var output = [];
+	var column = textWidth(base || '', options);
+	var commands = [[base || '', BREAK, document]];
+	var suffixes = [];
+	while (commands.length > 0 || suffixes.length > 0){
+		if (commands.length == 0){
+			commands = suffixes.reverse();
+			suffixes = [];
+		}
+		var current = commands.pop();
+		var indentation = current[0], mode = current[1], document = current[2];
+		if (typeof document == 'string'){
+			output.push(document);
+			var newline = document.lastIndexOf('\n');
+			column = newline == -1
+				? column + textWidth(document, options)
+				: textWidth(document.slice(newline + 1), options);
+		} else if (Array.isArray(document)){
+			for (var i = document.length - 1; i >= 0; i--) commands.push([indentation, mode, document[i]]);
+		} else switch (document.type){
+			case 'group':
+				var flat = [indentation, FLAT, document.contents];
+				if (mode == FLAT && !document.broken){
+					commands.push(flat);
+				} else if (!document.broken && fits(flat, commands, options.printWidth - column, options)){
+					commands.push(flat);
+				} else {
+					commands.push([indentation, BREAK, document.contents]);
+				}
+				break;
+			case 'indent':
+				commands.push([indentation + unit, mode, document.contents]);
+				break;
+			case 'conditionalGroup':
+				var states = document.states, chosen = null;
+				for (var i = 0; i < states.length - 1 && !chosen; i++){
+					var state = [indentation, FLAT, states[i]];
+					if (fits(state, commands, options.printWidth - column, options)) chosen = state;
+				}
+				commands.push(chosen || [indentation, mode, states[states.length - 1]]);
+				break;
+			case 'lineSuffix':
+				suffixes.push([indentation, mode, document.contents]);
+				break;
+			case 'line':
+				if (suffixes.length && (mode == BREAK || document.hard)){
+					commands.push(current);
+					commands.push.apply(commands, suffixes.reverse());
+					suffixes = [];
+				} else if (mode == FLAT && !document.hard){
+					if (!document.soft){
+						output.push(' ');
+						column++;
+					}
+				} else {
+					trim(output);
+					output.push('\n' + indentation);
+					column = textWidth(indentation, options);
+				}
+				break;
+		}
+	}
+	return output.join('');
+};
@@ -1,5 +1,465 @@
 require.paths.unshift('.');
 
-var input = require('fs').readFileSync('input.js', 'UTF8');
-var format = require('format').format;
-process.stdout.write('\n' + format(input) + '\n\n');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+var javascript = require('javascript');
+var verify = require('verify');
+var formatter = require('format');
+
+var failures = 0;
+
+var test = function(name, run){
+	try {
+		run();
+		process.stdout.write('ok ' + name + '\n');
+	} catch (e){
+		failures++;
+		process.stdout.write('not ok ' + name + '\n  ' + String(e.stack || e).replace(/\n/g, '\n  ') + '\n');
+	}
+};
+
+/*
+ * The fixtures have every kind of statement and expression of one area of the
+ * language. Formatting them throws when the output means something else or
+ * changes when formatted again.
+ */
+fs.readdirSync('fixtures').sort().forEach(function(name){
+	test('fixtures/' + name, function(){
+		formatter.format(fs.readFileSync('fixtures/' + name, 'utf8'), {verify: true, idempotency: true});
+	});
+});
+
+// Formats input and checks that the result is expected.
+var formats = function(input, expected, options){
+	var result = formatter.format(input, options);
+	assert.equal(result, expected);
+	formatter.format(input, merge(options, {verify: true, idempotency: true}));
+};
+
+// Parsing input throws a syntax error starting with error, as `line:column: message`.
+var fails = function(input, error, options){
+	assert.throws(function(){
+		javascript.parse(input, options);
+	}, function(e){
+		var actual = e.line + ':' + e.column + ': ' + e.message;
+		assert.equal(actual.slice(0, error.length), error);
+		return true;
+	});
+};
+
+var merge = function(options, more){
+	var result = {};
+	for (var name in options || {}) result[name] = options[name];
+	for (var name in more) result[name] = more[name];
+	return result;
+};
+
+test('comments inside of expressions are kept next to their node', function(){
+	formats('foo(/* c */);', 'foo(\n\t/* c */\n);');
+	formats('var x = /* c */ 5;', 'var x = /* c */ 5;');
+	formats('if (a) /* c */ b();', 'if (a) /* c */ b();');
+	formats('function f(/* x */ a){}', 'function f(/* x */ a){\n}');
+	formats('x = a // c\n\t+ b;', 'x = a + // c\n\tb;');
+	formats('a\n\t// c\n\t.b()\n\t.c()\n\t.d();', 'a.b() // c\n\t.c()\n\t.d();');
+	formats('if (a) {\n} // c\nelse {\n}', 'if (a) {\n} // c\nelse {\n}');
+	formats('try {} catch (e) {} // z\nfinally {}', 'try {\n} catch (e) {\n} // z\nfinally {\n}');
+	formats('function f(a, b // y\n){}', 'function f(\n\ta,\n\tb // y\n){\n}');
+});
+
+test('a function argument stays on the line of the call only when the rest fits', function(){
+	formats('foo(a, function(){ b(); });', 'foo(a, function (){\n\tb();\n});');
+	formats('foo(a, function(){ b(); });', 'foo(\n\ta,\n\tfunction (){\n\t\tb();\n\t}\n);', {printWidth: 10});
+	formats('setTimeout(function(){ b(); }, 100);', 'setTimeout(function (){\n\tb();\n}, 100);');
+});
+
+test('parameters are broken one per line when they do not fit', function(){
+	formats('function f(a, b){}', 'function f(a, b){\n}');
+	formats('function f(aaaa, bbbb){}', 'function f(\n\taaaa,\n\tbbbb\n){\n}', {printWidth: 16});
+	formats('class A { m(aaaa, ...bbbb){} }', 'class A {\n\tm(\n\t\taaaa,\n\t\t...bbbb\n\t){\n\t}\n}', {printWidth: 16});
+	formats('x = {set a(value){}};', 'x = {\n\tset a(value){\n\t}\n};');
+});
+
+test('an object literal body in parentheses stays on the line of the arrow', function(){
+	formats('f = () => ({a: 1});', 'f = () => ({\n\ta: 1\n});');
+	formats('f = () => ({});', 'f = () => ({});');
+});
+
+test('the sourceType option picks how a program is parsed', function(){
+	assert.equal(javascript.parse('x;').type, 'Program');
+	assert.equal(javascript.parse('x;', {sourceType: 'module'}).type, 'Module');
+	assert.equal(javascript.parse('import "a";').type, 'Module');
+	fails('import "a";', '1:1: Import and export declarations are only allowed in modules', {sourceType: 'script'});
+	formats('x = 1;', 'x = 1;', {sourceType: 'module'});
+});
+
+test('module code reserves await', function(){
+	assert.equal(javascript.parse('var await = 1;').type, 'Program');
+	fails('var await = 1;', '1:5: Unexpected reserved word', {sourceType: 'module'});
+	fails('import a from "a";\nawait = 1;', '2:1: Unexpected reserved word');
+});
+
+test('module specifiers keep their quotes', function(){
+	formats("import 'side';", "import 'side';");
+	formats('export * from "a";', 'export * from "a";');
+	formats("import a from 'a';", 'import a from "a";', {quotes: 'double'});
+});
+
+test('yield and await are operators only in generators and async functions', function(){
+	formats('var yield = f;\nyield\n(1);', 'var yield = f;\nyield(1);');
+	formats('function* g(){ yield\n(1); }', 'function* g(){\n\tyield;\n\t(1);\n}');
+	formats('async function f(){ await x; }', 'async function f(){\n\tawait x;\n}');
+	formats('async function f(){ g(function(){ var await; }); }', 'async function f(){\n\tg(function (){\n\t\tvar await;\n\t});\n}');
+	formats('function* g(){ h(() => yield); }', 'function* g(){\n\th(() => yield);\n}');
+	fails('function f(){ await x }', '1:21: Expected');
+	fails('function* g(){ var yield = 1 }', '1:20: Expected');
+	fails('async function f(){ var await = 1 }', '1:25: Expected');
+});
+
+test('let and const declare names only in lists of statements', function(){
+	formats('for (const key in object) {}', 'for (const key in object) {\n}');
+	formats('let = 1;', 'let = 1;');
+	fails('const a;', '1:7: Missing initializer in const declaration');
+	fails('for (const i; i < n; i++) {}', '1:12: Missing initializer in const declaration');
+	formats('for (var [a] in b) {}', 'for (var [a] in b) {\n}');
+	fails('var {a};', '1:5: Missing initializer in destructuring declaration');
+	fails('let a = 1, [b];', '1:12: Missing initializer in destructuring declaration');
+	fails('for (var [a]; ; ) {}', '1:10: Missing initializer in destructuring declaration');
+	formats('[(a)] = (b) = c;', '[(a)] = (b) = c;');
+	fails('([a]) = 1;', '1:1: Invalid left-hand side in assignment');
+	fails('[a, ({b: c})] = 1;', '1:5: Invalid left-hand side in assignment');
+	fails('for (([a]) in b) {}', '1:6: Invalid left-hand side in assignment');
+	fails('let let = 1;', '1:5: let is disallowed as a lexically bound name');
+	fails('const [a, let] = b;', '1:11: let is disallowed as a lexically bound name');
+	fails('if (a) let b = 1;', '1:12: Expected');
+	fails('label: const x = 1;', '1:8: Expected');
+	formats('(let)[0] = 1;\nlet.a[0] = 1;', '(let)[0] = 1;\nlet.a[0] = 1;');
+	fails('if (a) let [b] = 1;', '1:12: Expected');
+	var tree = javascript.parse('(let)[0]();');
+	tree.elements[0].value.name.base = tree.elements[0].value.name.base.value;
+	assert.equal(formatter.formatTree(tree), '(let[0]());');
+});
+
+test('numbers keep their text, also as property names', function(){
+	formats('x = {0x10: 1, 1e3: y};', 'x = {\n\t0x10: 1,\n\t1e3: y\n};');
+	formats('class A { 0b11(){} }', 'class A {\n\t0b11(){\n\t}\n}');
+	assert.equal(javascript.parse('0xFFFF_FFFF_FFFF_FFFFn;').elements[0].value.value, '18446744073709551615');
+	var differences = verify.compare(javascript.parse('x = 12345678901234567890n;'), javascript.parse('x = 12345678901234567891n;'));
+	assert.deepEqual(differences, ['elements.0.value.right.value: "12345678901234567890" became "12345678901234567891"']);
+});
+
+test('character class ranges compare the characters their ends stand for', function(){
+	formats('x = /[\\x41-\\x5a]/;', 'x = /[\\x41-\\x5a]/;');
+	formats('x = /[\\u{1F600}-\\u{1F64F}]/u;', 'x = /[\\u{1F600}-\\u{1F64F}]/u;');
+	formats('x = /[\\uD83D\\uDE00-\\uD83D\\uDE0F]/u;', 'x = /[\\uD83D\\uDE00-\\uD83D\\uDE0F]/u;');
+	formats('x = /[\uD83D\uDE00-\uD83D\uDE0F]/u;', 'x = /[\uD83D\uDE00-\uD83D\uDE0F]/u;');
+	fails('x = /[\\x7a-\\x61]/;', '1:7: Range out of order in character class');
+	fails('x = /[\uD83D\uDE00-\uD83D\uDE0F]/;', '1:7: Range out of order in character class');
+	fails('x = /[\\u{1F600}-\\u{1F64F}]/;', '1:7: Range out of order in character class');
+	fails('x = /\\u{110000}/u;', '1:6: Undefined Unicode code point');
+	formats('x = /[\\-\\b\\cA-\\cZ]\\/(a)\\1/u;', 'x = /[\\-\\b\\cA-\\cZ]\\/(a)\\1/u;');
+	formats('x = /{\\2(a)[\\w-a]\\-(?=a)*/;', 'x = /{\\2(a)[\\w-a]\\-(?=a)*/;');
+	fails('x = /{/u;', '1:6: Lone quantifier brackets');
+	fails('x = /a{/u;', '1:7: Lone quantifier brackets');
+	fails('x = /(?=a)*/u;', '1:6: Nothing to repeat');
+	fails('x = /\\2(a)/u;', '1:6: Invalid escape');
+	fails('x = /\\k<n>/u;', '1:6: Invalid named capture referenced');
+	fails('x = /(?<m>a)\\k<n>/;', '1:13: Invalid named capture referenced');
+	fails('x = /[\\w-a]/u;', '1:7: Invalid character class');
+	fails('x = /\\-/u;', '1:6: Invalid escape');
+	fails('x = /[\\cZ-\\cA]/;', '1:7: Range out of order in character class');
+	fails('x = /a/v;', '1:8: The v flag of regular expressions is not supported');
+	var pattern = javascript.parse('x = /a|[b-c]/;').elements[0].value.right.pattern;
+	assert.deepEqual([pattern.start, pattern.end], [5, 12]);
+	assert.deepEqual(pattern.alternatives[1].terms[0].ranges[0].loc.start, {line: 1, column: 9});
+});
+
+test('names of members are quoted only when they are not identifier names', function(){
+	formats('class A { \uD835\uDC00(){} caf\u00E9(){} "a-b"(){} "\uD83D\uDE00"(){} }', 'class A {\n\t\uD835\uDC00(){\n\t}\n\n\tcaf\u00E9(){\n\t}\n\n\t"a-b"(){\n\t}\n\n\t"\uD83D\uDE00"(){\n\t}\n}');
+	formats('x = "\uD83D\uDE00" + `\uD83D\uDE00` + /\uD83D\uDE00/u; // \uD83D\uDE00', 'x = "\uD83D\uDE00" + `\uD83D\uDE00` + /\uD83D\uDE00/u; // \uD83D\uDE00');
+	fails('var \uD83D\uDE00 = 1;', '1:5: Unexpected character "\uD83D\uDE00"');
+	fails('var a\uD83D\uDE00 = 1;', '1:6: Unexpected character "\uD83D\uDE00"');
+});
+
+test('reserved words may not be written with escapes', function(){
+	formats('x = {\\u0069f: a.\\u0069f};', 'x = {\n\tif: a.if\n};');
+	formats('var l\\u0065t = 1;', 'var let = 1;');
+	fails('var v\\u0061r = 1;', '1:5: Keyword must not contain escaped characters');
+	fails('var \\u0069f = 1;', '1:5: Keyword must not contain escaped characters');
+	fails('x = \\u0074rue;', '1:5: Keyword must not contain escaped characters');
+	fails('"use strict"; var l\\u0065t = 1;', '1:19: Keyword must not contain escaped characters');
+	fails('function* g(){ var yi\\u0065ld = 1; }', '1:20: Keyword must not contain escaped characters');
+});
+
+test('only tagged templates may have invalid escapes', function(){
+	formats('x = tag`\\unicode \\x4 \\01`;', 'x = tag`\\unicode \\x4 \\01`;');
+	formats('x = `\\0 \\u{41}\\x41\\${a}\\``;', 'x = `\\0 \\u{41}\\x41\\${a}\\``;');
+	fails('x = `\\unicode`;', '1:6: Invalid Unicode escape sequence');
+	fails('x = `${a /* } */}\\x4`;', '1:18: Invalid hexadecimal escape sequence');
+	fails('x = `${a}\\u{110000}`;', '1:10: Undefined Unicode code point');
+	fails('x = `\\01`;', '1:6: Octal escape sequences are not allowed in template strings');
+	fails('x = tag`${`\\u`}`;', '1:12: Invalid Unicode escape sequence');
+});
+
+test('strict mode errors point at the offending name', function(){
+	fails('"use strict";\nfunction eval(){}', '2:10: Unexpected eval or arguments in strict mode');
+	fails('x = function arguments(){ "use strict" };', '1:14: Unexpected eval or arguments in strict mode');
+	fails('"use strict"; class eval {}', '1:21: Unexpected eval or arguments in strict mode');
+	fails('"use strict"; try {} catch (arguments) {}', '1:29: Unexpected eval or arguments in strict mode');
+	fails('"use strict"; x = {set a(eval){}};', '1:26: Unexpected eval or arguments in strict mode');
+	fails('function f(a, b, a){ "use strict" }', '1:18: Duplicate parameter name not allowed in this context');
+	fails('"use strict"; for (;;) { break yield; }', '1:32: Unexpected strict mode reserved word');
+	fails('"use strict"; x = 010;', '1:19: Octal literals are not allowed in strict mode');
+	fails('import eval from "a";', '1:8: Unexpected eval or arguments in strict mode');
+	fails('import a, * as eval from "a";', '1:16: Unexpected eval or arguments in strict mode');
+	fails('import {a as eval} from "a";', '1:14: Unexpected eval or arguments in strict mode');
+});
+
+test('property names are printed as written', function(){
+	formats("x = {'a\\u0041': 1, 'a': 2, b: 3};", "x = {\n\t'a\\u0041': 1,\n\t'a': 2,\n\tb: 3\n};");
+	formats("x = {'a': 1};", 'x = {\n\t"a": 1\n};', {quotes: 'double'});
+	formats("var {'a-b': c, d: e} = f;", "var {'a-b': c, d: e} = f;");
+	formats("x = {get 'a'(){}, set b(c){}};", "x = {\n\tget 'a'(){\n\t},\n\tset b(c){\n\t}\n};");
+	formats("class A { 'b c'(){} }", "class A {\n\t'b c'(){\n\t}\n}");
+	assert.equal(javascript.parse("class A { 'constructor'(){} }").elements[0].members[0].kind, 'constructor');
+});
+
+test('braceStyle next-line puts braces, else, catch and finally on their own line', function(){
+	formats('if (a) { b(); } else { c(); }\ntry { d(); } catch (e) {}\nfunction g(y){}', 'if (a)\n{\n\tb();\n}\nelse\n{\n\tc();\n}\ntry\n{\n\td();\n}\ncatch (e)\n{\n}\nfunction g(y)\n{\n}', {braceStyle: 'next-line'});
+	formats('x = (a) => { b(); };', 'x = (a) =>\n{\n\tb();\n};', {braceStyle: 'next-line'});
+});
+
+test('spaceAfterKeyword separates keywords from their parentheses', function(){
+	formats('if (a) {}\nwhile (a) {}\nvar f = function (){};', 'if(a) {\n}\nwhile(a) {\n}\nvar f = function(){\n};', {spaceAfterKeyword: false});
+});
+
+test('spaceBeforeFunctionParen separates function names from their parameters', function(){
+	formats('function g(y){}\nclass A { m(){} }', 'function g (y){\n}\nclass A {\n\tm (){\n\t}\n}', {spaceBeforeFunctionParen: true});
+});
+
+test('spaceBeforeFunctionBrace separates parameters from the body', function(){
+	formats('function g(y){}\nvar f = function(x){};', 'function g(y) {\n}\nvar f = function (x) {\n};', {spaceBeforeFunctionBrace: true});
+	formats('x = async (a) => { b(); };', 'x = async (a) => {\n\tb();\n};', {spaceBeforeFunctionBrace: true});
+	formats('x = async (a) => { b(); };', 'x = async (a) =>{\n\tb();\n};');
+});
+
+test('indentStyle and indentWidth set the indentation and the width of tabs', function(){
+	formats('if (a) { if (b) { c(); } }', 'if (a) {\n  if (b) {\n    c();\n  }\n}', {indentStyle: 'space', indentWidth: 2});
+	formats('if (a) { b(cccc, dddd); }', 'if (a) {\n\tb(\n\t\tcccc,\n\t\tdddd\n\t);\n}', {indentWidth: 8, printWidth: 20});
+});
+
+test('endOfLine sets the line endings, or takes the first one of the input', function(){
+	formats('a();\nb();', 'a();\r\nb();', {endOfLine: 'crlf'});
+	formats('a();\nb();', 'a();\rb();', {endOfLine: 'cr'});
+	formats('a();\r\nb();\nc();', 'a();\r\nb();\r\nc();', {endOfLine: 'auto'});
+	formats('a();', 'a();', {endOfLine: 'auto'});
+});
+
+test('quotes, hexCase and exponentCase rewrite strings and numbers', function(){
+	formats("x = 'a\"b' + \"c'd\";", 'x = "a\\"b" + "c\'d";', {quotes: 'double'});
+	formats("x = 'a\"b' + \"c'd\";", "x = 'a\"b' + 'c\\'d';", {quotes: 'single'});
+	formats('x = 0xAbC + 1E5 + 2e-3;', 'x = 0xabc + 1E5 + 2E-3;', {hexCase: 'lower', exponentCase: 'upper'});
+	formats('x = 0xAbC + 1E5 + 2e-3;', 'x = 0xABC + 1e5 + 2e-3;', {hexCase: 'upper', exponentCase: 'lower'});
+});
+
+test('maxBlankLines limits the blank lines between statements', function(){
+	formats('a();\n\n\n\nb();', 'a();\nb();', {maxBlankLines: 0});
+	formats('a();\n\n\n\nb();\n\nc();', 'a();\n\n\nb();\n\nc();', {maxBlankLines: 2});
+});
+
+test('invalid options are rejected', function(){
+	assert.throws(function(){ formatter.format('a();', {braceStyle: 'next'}); }, /^Error: invalid value for option braceStyle: next$/);
+	assert.throws(function(){ formatter.format('a();', {endOfLine: 'crcr'}); }, /^Error: invalid value for option endOfLine: crcr$/);
+	assert.throws(function(){ formatter.format('a();', {indentWidth: -1}); }, /^Error: invalid value for option indentWidth: -1$/);
+	assert.throws(function(){ formatter.format('a();', {spaceAfterKeyword: 'no'}); }, /^Error: invalid value for option spaceAfterKeyword: no$/);
+	assert.throws(function(){ formatter.format('a();', {tabs: true}); }, /^Error: unknown option: tabs$/);
+});
+
+test('formatRange formats the statements a selection overlaps', function(){
+	var input = 'a( );\nif (x) {\n    if(x){ c( ) ;  d() }\n}\nb( ) ; e( );\n';
+	var nested = {start: 15, end: 39, text: '\tif (x) {\n\t\tc();\n\t\td();\n\t}'};
+	assert.deepEqual(formatter.formatRange(input, {startLine: 3, endLine: 3}), nested);
+	assert.deepEqual(formatter.formatRange(input, {start: 24, end: 26}), nested);
+	assert.deepEqual(formatter.formatRange(input, {start: 9, end: 10}), {start: 6, end: 41, text: 'if (x) {\n\tif (x) {\n\t\tc();\n\t\td();\n\t}\n}'});
+	assert.deepEqual(formatter.formatRange(input, {startLine: 3, endLine: 3}, {indentStyle: 'space'}), {start: 15, end: 39, text: '    if (x) {\n        c();\n        d();\n    }'});
+	assert.deepEqual(formatter.formatRange(input, {start: 2, end: 2}), {start: 0, end: 5, text: 'a();'});
+	assert.deepEqual(formatter.formatRange(input, {start: 49, end: 49}), {start: 49, end: 54, text: 'e();'});
+	assert.deepEqual(formatter.formatRange(input, {startLine: 5, endLine: 5}), {start: 42, end: 54, text: 'b();\ne();'});
+	assert.equal(formatter.formatRange('a( );\n\n\n', {startLine: 3, endLine: 3}), null);
+	assert.deepEqual(
+		formatter.formatRange('a( );\r\nif (x) {\r\n\tb( ) ; c()\r\n}\r\n', {startLine: 3, endLine: 3}, {endOfLine: 'auto'}),
+		{start: 17, end: 28, text: '\tb();\r\n\tc();'}
+	);
+});
+
+test('verify fails when a comment is lost', function(){
+	var differences = verify.compare(javascript.parse('a(/* c */ b);'), javascript.parse('a(b);'));
+	assert.deepEqual(differences, ['comments.0: "/* c */" became undefined']);
+});
+
+// Types that only pass between rules of the grammar and never end up in a tree.
+var internalTypes = ['FunctionCallArguments', 'PropertyAccessProperty', 'TaggedTemplateLiteral'];
+
+test('fixtures cover every node type', function(){
+	var seen = {};
+	var walk = function(node){
+		if (!node || typeof node != 'object') return;
+		if (Array.isArray(node)) return node.forEach(walk);
+		if (node.type) seen[node.type] = true;
+		for (var key in node) walk(node[key]);
+	};
+	fs.readdirSync('fixtures').forEach(function(name){
+		walk(javascript.parse(fs.readFileSync('fixtures/' + name, 'utf8')));
+	});
+	var missing = [];
+	fs.readFileSync('javascript.pegjs', 'utf8').replace(/type:\s*"(\w+)"/g, function(match, type){
+		if (!seen[type] && internalTypes.indexOf(type) == -1 && missing.indexOf(type) == -1) missing.push(type);
+	});
+	assert.deepEqual(missing, []);
+});
+
+/*
+ * The command line is run as a separate process, so its tests finish later.
+ * They wait in a queue and run one after another once the others are done.
+ */
+var commandLineTests = [];
+
+var runCommandLineTests = function(){
+	var next = commandLineTests.shift();
+	if (!next){
+		if (failures) process.exit(1);
+		return;
+	}
+	next(runCommandLineTests);
+};
+
+var makeDirectory = function(directory){
+	if (path.existsSync(directory)) return;
+	makeDirectory(path.dirname(directory));
+	fs.mkdirSync(directory, 0777);
+};
+
+var removeDirectory = function(directory){
+	fs.readdirSync(directory).forEach(function(name){
+		var file = path.join(directory, name);
+		if (fs.statSync(file).isDirectory()) removeDirectory(file);
+		else fs.unlinkSync(file);
+	});
+	fs.rmdirSync(directory);
+};
+
+var shellQuote = function(arg){
+	return "'" + arg.replace(/'/g, "'\\''") + "'";
+};
+
+/*
+ * Runs cli.js with args in a directory with the given files, and calls back
+ * with its exit status, its output and the files afterwards.
+ */
+var cli = function(args, files, callback){
+	var directory = path.join(process.env.TMPDIR || '/tmp', 'cli-test-' + process.pid);
+	for (var name in files){
+		makeDirectory(path.dirname(path.join(directory, name)));
+		fs.writeFileSync(path.join(directory, name), files[name], 'utf8');
+	}
+	var command = [process.execPath].concat(process.execArgv || [], [path.join(process.cwd(), 'cli.js')], args);
+	childProcess.exec(command.map(shellQuote).join(' '), {cwd: directory}, function(error, stdout, stderr){
+		var after = {};
+		for (var name in files) after[name] = fs.readFileSync(path.join(directory, name), 'utf8');
+		removeDirectory(directory);
+		callback({status: error ? error.code : 0, stdout: stdout, stderr: stderr, files: after});
+	});
+};
+
+/*
+ * Like test, but runs cli.js with each of runs, a list of args and the check
+ * of its result, in a fresh copy of files.
+ */
+var testCommandLine = function(name, files, runs){
+	commandLineTests.push(function(done){
+		var finish = function(error){
+			test(name, function(){
+				if (error) throw error;
+			});
+			done();
+		};
+		var step = function(i){
+			if (i == runs.length) return finish();
+			cli(runs[i][0], files, function(result){
+				try {
+					runs[i][1](result);
+				} catch (e){
+					return finish(e);
+				}
+				step(i + 1);
+			});
+		};
+		step(0);
+	});
+};
+
+var project = {
+	'src/a.js': 'var a = 1;\n',
+	'src/lib/b.js': 'var  b=2\n',
+	'src/lib/c.txt': 'var  c=3\n',
+	'other.js': 'var  d=4\n',
+	'bad.js': 'var = 1;\n'
+};
+
+testCommandLine('the command line prints the formatted files', project, [
+	[['src/lib/b.js', 'src/a.js'], function(result){
+		assert.equal(result.status, 0);
+		assert.equal(result.stdout, 'var b = 2;\nvar a = 1;\n');
+	}]
+]);
+
+testCommandLine('the command line expands globs and directories', project, [
+	[['src/**/*.js'], function(result){
+		assert.equal(result.stdout, 'var a = 1;\nvar b = 2;\n');
+	}],
+	[['src/*.js'], function(result){
+		assert.equal(result.stdout, 'var a = 1;\n');
+	}],
+	[['src', 'src/a.js'], function(result){
+		assert.equal(result.stdout, 'var a = 1;\nvar b = 2;\n');
+	}],
+	[['o*.js'], function(result){
+		assert.equal(result.stdout, 'var d = 4;\n');
+	}]
+]);
+
+testCommandLine('the command line checks and writes files', project, [
+	[['--check', 'src'], function(result){
+		assert.equal(result.status, 1);
+		assert.equal(result.stderr, 'Not formatted:\nsrc/lib/b.js\n');
+	}],
+	[['--write', 'src'], function(result){
+		assert.equal(result.status, 0);
+		assert.equal(result.stdout, '');
+		assert.deepEqual(result.files, merge(project, {'src/lib/b.js': 'var b = 2;\n'}));
+	}],
+	[['--check', 'src/a.js'], function(result){
+		assert.equal(result.status, 0);
+	}]
+]);
+
+// Bad arguments and input fail with status 2 and a message.
+var failsWith = function(message){
+	return function(result){
+		assert.equal(result.status, 2);
+		assert.equal(result.stderr.slice(0, message.length), message);
+	};
+};
+
+testCommandLine('the command line fails with status 2 on bad arguments and input', project, [
+	[['nomatch/*.js'], failsWith('no files match: nomatch/*.js')],
+	[['other.js/*.js'], failsWith('no files match: other.js/*.js')],
+	[['src/*.txt'], failsWith('no files match: src/*.txt')],
+	[['missing.js'], failsWith('no such file or directory: missing.js')],
+	[['--unknown', 'src'], failsWith('unknown option: --unknown')],
+	[['--write'], failsWith('--write and --check need files')],
+	[['bad.js'], failsWith('bad.js:1:5: Expected')]
+]);
+
+runCommandLineTests();
@@ -0,0 +1,90 @@
+/*
+ * Structural comparison of syntax trees, used to check that formatting did not
+ * change what the code means.
+ */
+
+// Properties that formatting is allowed to change.
+var ignored = {
+	start: true,
+	end: true,
+	loc: true,
+	nameStarts: true,
+	raw: true,
+	comments: true,
+	blankLinesBefore: true,
+	leadingComments: true,
+	trailingComments: true,
+	danglingComments: true
+};
+
+var unwrap = function(node){
+	while (node && node.type == 'ParenthesizedExpression') node = node.value;
+	return node;
+};
+
+var describe = function(value){
+	if (Array.isArray(value)) return 'a list of ' + value.length;
+	if (value && value.type) return 'a ' + value.type;
+	return JSON.stringify(value);
+};
+
+var compareNodes = function(a, b, path, differences){
+	a = unwrap(a);
+	b = unwrap(b);
+	if (a === b) return;
+	if (!a || !b || typeof a != 'object' || typeof b != 'object' ||
+		Array.isArray(a) != Array.isArray(b) || a.length != b.length || a.type != b.type){
+		differences.push((path || 'program') + ': ' + describe(a) + ' became ' + describe(b));
+		return;
+	}
+	var keys = {};
+	for (var key in a) keys[key] = true;
+	for (var key in b) keys[key] = true;
+	for (var key in keys){
+		if (!ignored[key]) compareNodes(a[key], b[key], path ? path + '.' + key : key, differences);
+	}
+};
+
+/*
+ * The comments of the program in source order, with their whitespace
+ * collapsed. The parser lists all of them in `comments`, so that one the
+ * formatter lost is noticed. Trees from elsewhere have the ones attached to
+ * their nodes.
+ */
+var comments = function(ast){
+	var result = [];
+	var walk = function(node){
+		if (!node || typeof node != 'object') return;
+		if (Array.isArray(node)) return node.forEach(walk);
+		['leadingComments', 'trailingComments', 'danglingComments'].forEach(function(property){
+			result.push.apply(result, node[property] || []);
+		});
+		for (var key in node) if (!ignored[key]) walk(node[key]);
+	};
+	if (ast.comments) result = ast.comments.slice();
+	else walk(ast);
+	return result.sort(function(a, b){
+		return a.start - b.start;
+	}).map(function(comment){
+		var value = comment.value.replace(/\s+/g, ' ');
+		return comment.type == 'SingleLineComment' ? '//' + value : '/*' + value + '*/';
+	});
+};
+
+/*
+ * Returns the differences between two trees as a list of `path: change`
+ * lines, ignoring parentheses, positions and where comments are attached.
+ * The same comments must still appear in the same order.
+ */
+exports.compare = function(original, formatted){
+	var differences = [];
+	compareNodes(original, formatted, '', differences);
+	var before = comments(original), after = comments(formatted);
+	for (var i = 0; i < Math.max(before.length, after.length); i++){
+		if (before[i] !== after[i]){
+			differences.push('comments.' + i + ': ' + describe(before[i]) + ' became ' + describe(after[i]));
+			break;
+		}
+	}
+	return differences;
+};